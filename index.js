@@ -18,13 +18,19 @@
 
 // XPath & Selector
 const { SelectorHelper, XPathBuilder } = require('./src/xpath/xpath-helper');
+const HumanInput = require('./src/xpath/human-input');
 
 // Telegram
 const TelegramBot = require('./src/telegram/telegram-bot');
+const ProgressTracker = require('./src/telegram/progress-tracker');
+const TelegramNotifier = require('./src/telegram/telegram-notifier');
 
 // Tracking HTTP
 const TrackingHttp = require('./src/trackingNetwork/trackingHttp');
+const SessionCapture = require('./src/trackingNetwork/sessionCapture');
 const CaptchaHelper = require('./src/captcha-helper/captcha-helper');
+// Exporter
+const DataExporter = require('./src/exporter/data-exporter');
 // Antidetect Browser Manager
 const {
     ConnectAntidetectHelper,
@@ -37,6 +43,7 @@ module.exports = {
     // XPath & Selector Tools
     SelectorHelper,
     XPathBuilder,
+    HumanInput,
 
     // Telegram Bot
     TelegramBot,
@@ -47,21 +54,30 @@ module.exports = {
 
     // Tracking HTTP
     TrackingHttp,
+    SessionCapture,
 
     // Captcha Helper
     CaptchaHelper,
 
+    // Exporter
+    DataExporter,
+
     // ==================== ORGANIZED BY CATEGORY ====================
 
     xpath: {
         SelectorHelper,
-        XPathBuilder
+        XPathBuilder,
+        HumanInput
     },
 
     telegram: {
         Bot: TelegramBot,
-        // Convenience function
-        createBot: (token, options) => new TelegramBot(token, options)
+        ProgressTracker,
+        TelegramNotifier,
+        // Convenience functions
+        createBot: (token, options) => new TelegramBot(token, options),
+        createProgressTracker: (bot, chatId, total, options) => new ProgressTracker(bot, chatId, total, options),
+        createNotifier: (bot, options) => new TelegramNotifier(bot, options)
     },
 
     antidetect: {
@@ -75,8 +91,10 @@ module.exports = {
 
     trackingHttp: {
         TrackingHttp,
-        // Convenience function
-        createTrackingHttp: (config) => new TrackingHttp(config)
+        SessionCapture,
+        // Convenience functions
+        createTrackingHttp: (config) => new TrackingHttp(config),
+        createSessionCapture: (tracking, config) => new SessionCapture(tracking, config)
     },
 
     captcha: {
@@ -85,6 +103,13 @@ module.exports = {
         createCaptchaHelper: (config) => new CaptchaHelper(config)
     },
 
+    exporter: {
+        DataExporter,
+        // Convenience functions
+        createExporter: (filePath, options) => new DataExporter(filePath, options),
+        exportTo: (filePath, rows, options) => DataExporter.export(filePath, rows, options)
+    },
+
     // ==================== METADATA ====================
 
     version: '1.0.0',
@@ -92,11 +117,12 @@ module.exports = {
     // Helper to get all available modules
     getModules: () => {
         return {
-            xpath: ['SelectorHelper', 'XPathBuilder'],
-            telegram: ['TelegramBot'],
+            xpath: ['SelectorHelper', 'XPathBuilder', 'HumanInput'],
+            telegram: ['TelegramBot', 'ProgressTracker', 'TelegramNotifier'],
             antidetect: ['ConnectAntidetectHelper', 'PlatformType'],
-            trackingHttp: ['TrackingHttp'],
+            trackingHttp: ['TrackingHttp', 'SessionCapture'],
             captcha: ['CaptchaHelper'],
+            exporter: ['DataExporter'],
             browser: [], // TODO
             threading: [], // TODO
             utils: [] // TODO
@@ -116,7 +142,8 @@ module.exports = {
                 'Worker Pool (Multi-threading)',
                 'Action Executor',
                 'Wait & Retry Helpers',
-                'Tracking HTTP'
+                'Tracking HTTP',
+                'Data Exporter (CSV, JSONL, Excel XML)'
             ],
             author: 'HD Software',
             license: 'PRIVATE'
@@ -0,0 +1,308 @@
+/**
+ * DataExporter
+ * Ghi kết quả extractList / extractTable / extract ra file, incremental theo từng lần write (mỗi trang):
+ * - CSV: quoting chuẩn RFC 4180, BOM UTF-8 để Excel nhận đúng tiếng Việt
+ * - JSONL: mỗi dòng một JSON, append
+ * - XML: Excel SpreadsheetML 2003 (Excel mở trực tiếp, không cần native deps) - đuôi .xls / .xml
+ *   (.xlsx là định dạng zip khác, Excel từ chối mở file XML mang đuôi .xlsx -> bị reject)
+ * Sau mỗi write file luôn hợp lệ -> crash giữa chừng không mất dữ liệu đã ghi
+ *
+ * @author HD Software
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.xls': 'xml',
+    '.xml': 'xml'
+};
+
+const XML_HEADER = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>'
+].join('\n');
+
+const XML_FOOTER = '</Table>\n</Worksheet>\n</Workbook>\n';
+
+class DataExporter {
+    /**
+     * @param {string} filePath - Đuôi file quyết định format nếu không truyền options.format
+     * @param {object} options - { format, columns, headers, bom, delimiter, append, sheetName, ignoreUnknownColumns }
+     *   - format: 'csv' | 'jsonl' | 'xml'
+     *   - columns: thứ tự cột (mặc định: key của các row trong lần write đầu tiên,
+     *     hoặc headers của kết quả extractTable) - nên truyền khi ghi incremental
+     *   - headers: { column: 'Tên hiển thị' } cho dòng tiêu đề CSV / XML
+     *   - append: ghi tiếp vào file đã có (không ghi lại header)
+     *   - ignoreUnknownColumns: true = bỏ key không có trong columns thay vì throw (CSV / XML)
+     */
+    constructor(filePath, options = {}) {
+        if (!filePath) {
+            throw new Error('filePath is required');
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension === '.xlsx' && (!options.format || options.format === 'xml')) {
+            throw new Error(`Cannot write .xlsx: ${filePath} - use .xls / .xml (Excel SpreadsheetML) or .csv`);
+        }
+
+        const format = options.format || FORMAT_BY_EXTENSION[extension];
+        if (!['csv', 'jsonl', 'xml'].includes(format)) {
+            throw new Error(`Unsupported export format: ${format || extension}`);
+        }
+
+        this.filePath = filePath;
+        this.config = {
+            format,
+            columns: options.columns || null,
+            headers: options.headers || {},
+            bom: options.bom !== false,
+            delimiter: options.delimiter || ',',
+            append: options.append || false,
+            sheetName: options.sheetName || 'Sheet1',
+            ignoreUnknownColumns: options.ignoreUnknownColumns || false,
+            ...options
+        };
+
+        this.columns = this.config.columns;
+        this.rowCount = 0;
+        this.closed = false;
+
+        this._started = false;
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * Ghi thêm rows (object hoặc mảng giá trị) - dùng được trực tiếp làm onItems của extractPaginated
+     * Nhận cả kết quả extractTable ({ headers, rows }): headers thành columns
+     * @param {object|object[]} rows
+     * @returns {Promise<number>} Tổng số row đã ghi
+     */
+    async write(rows) {
+        if (this.closed) {
+            throw new Error(`Exporter is closed: ${this.filePath}`);
+        }
+
+        const table = asTable(rows);
+        if (table) {
+            if (!this.columns && table.headers.length > 0) this.columns = table.headers;
+            rows = table.rows;
+        }
+
+        const list = Array.isArray(rows) && !this._isValueRow(rows) ? rows : [rows];
+        if (list.length === 0) return this.rowCount;
+
+        // Các lần write song song (onItems không await) được ghi tuần tự
+        const writing = this._writing.catch(() => {}).then(() => this._write(list));
+        this._writing = writing;
+        await writing;
+        return this.rowCount;
+    }
+
+    /**
+     * Kết thúc file (file vẫn hợp lệ kể cả khi không gọi close)
+     */
+    async close() {
+        await this._writing.catch(() => {});
+        if (!this._started) await this._start([]);
+        this.closed = true;
+        return { filePath: this.filePath, format: this.config.format, rows: this.rowCount };
+    }
+
+    /**
+     * Ghi một lần toàn bộ rows
+     */
+    static async export(filePath, rows, options = {}) {
+        const exporter = new DataExporter(filePath, options);
+        await exporter.write(rows);
+        return await exporter.close();
+    }
+
+    /**
+     * Rows -> chuỗi CSV (không BOM)
+     */
+    static toCSV(rows, options = {}) {
+        const table = asTable(rows);
+        if (table) rows = table.rows;
+
+        const delimiter = options.delimiter || ',';
+        const columns = options.columns || (table && table.headers.length > 0 ? table.headers : DataExporter.columnsOf(rows));
+        const lines = [];
+
+        if (columns.length > 0 && options.header !== false) {
+            lines.push(columns.map(c => csvCell((options.headers || {})[c] || c, delimiter)).join(delimiter));
+        }
+        for (const row of rows) {
+            lines.push(rowValues(row, columns).map(v => csvCell(v, delimiter)).join(delimiter));
+        }
+
+        return lines.join('\r\n') + (lines.length > 0 ? '\r\n' : '');
+    }
+
+    /**
+     * Hợp các key theo thứ tự xuất hiện (row dạng mảng -> không có cột)
+     */
+    static columnsOf(rows) {
+        const columns = [];
+        for (const row of rows) {
+            if (!row || Array.isArray(row) || typeof row !== 'object') continue;
+            for (const key of Object.keys(row)) {
+                if (!columns.includes(key)) columns.push(key);
+            }
+        }
+        return columns;
+    }
+
+    // ==================== INTERNAL ====================
+
+    async _write(rows) {
+        if (!this._started) await this._start(rows);
+
+        const format = this.config.format;
+        if (format !== 'jsonl') this._checkColumns(rows);
+
+        if (format === 'jsonl') {
+            await fs.promises.appendFile(this.filePath, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+        } else if (format === 'csv') {
+            const content = DataExporter.toCSV(rows, {...this.config, columns: this.columns, header: false });
+            await fs.promises.appendFile(this.filePath, content);
+        } else {
+            await this._appendXml(rows.map(row => xmlRow(rowValues(row, this.columns))).join('\n') + '\n');
+        }
+
+        this.rowCount += rows.length;
+    }
+
+    /**
+     * Tạo file + header ở lần write đầu tiên (append vào file có sẵn -> bỏ qua header)
+     */
+    async _start(rows) {
+        this._started = true;
+        if (!this.columns) this.columns = DataExporter.columnsOf(rows);
+
+        await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+
+        let existing = 0;
+        if (this.config.append) {
+            try {
+                existing = (await fs.promises.stat(this.filePath)).size;
+            } catch (_) { /* chưa có file */ }
+        }
+        if (existing > 0) return;
+
+        const headerCells = this.columns.map(c => this.config.headers[c] || c);
+        const format = this.config.format;
+
+        if (format === 'jsonl') {
+            await fs.promises.writeFile(this.filePath, '');
+        } else if (format === 'csv') {
+            const header = headerCells.length > 0
+                ? headerCells.map(c => csvCell(c, this.config.delimiter)).join(this.config.delimiter) + '\r\n'
+                : '';
+            await fs.promises.writeFile(this.filePath, (this.config.bom ? '\uFEFF' : '') + header);
+        } else {
+            const header = headerCells.length > 0 ? xmlRow(headerCells, 'header') + '\n' : '';
+            await fs.promises.writeFile(this.filePath, [
+                XML_HEADER,
+                `<Worksheet ss:Name="${escapeXml(this.config.sheetName.slice(0, 31))}">`,
+                '<Table>',
+                header + XML_FOOTER
+            ].join('\n'));
+        }
+    }
+
+    /**
+     * Columns cố định từ lần write đầu -> key mới xuất hiện sau sẽ bị mất, báo lỗi thay vì ghi thiếu
+     */
+    _checkColumns(rows) {
+        if (this.config.ignoreUnknownColumns) return;
+
+        const unknown = DataExporter.columnsOf(rows).filter(key => !this.columns.includes(key));
+        if (unknown.length === 0) return;
+
+        const error = new Error(
+            `Unknown columns for ${this.filePath}: ${unknown.join(', ')} ` +
+            '(pass options.columns with every column, or ignoreUnknownColumns: true)'
+        );
+        error.columns = unknown;
+        throw error;
+    }
+
+    /**
+     * Cắt footer, ghi rows rồi ghi lại footer -> file XML luôn đóng thẻ đầy đủ
+     */
+    async _appendXml(content) {
+        const { size } = await fs.promises.stat(this.filePath);
+        const footerSize = Buffer.byteLength(XML_FOOTER);
+        await fs.promises.truncate(this.filePath, Math.max(size - footerSize, 0));
+        await fs.promises.appendFile(this.filePath, content + XML_FOOTER);
+    }
+
+    _isValueRow(rows) {
+        // write(['a', 'b']) = một row dạng mảng; write([{...}, [...]]) = nhiều row
+        return rows.length > 0 && rows.every(v => v === null || typeof v !== 'object');
+    }
+}
+
+// ==================== FORMATTERS ====================
+
+// Kết quả extractTable: { headers, rows }
+function asTable(value) {
+    if (!value || Array.isArray(value) || typeof value !== 'object') return null;
+    if (!Array.isArray(value.headers) || !Array.isArray(value.rows)) return null;
+    return value;
+}
+
+function rowValues(row, columns) {
+    if (Array.isArray(row)) return row;
+    if (!row || typeof row !== 'object') return [row];
+    return columns.map(c => row[c]);
+}
+
+function stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Quote khi có delimiter, dấu ", xuống dòng hoặc khoảng trắng đầu / cuối
+function csvCell(value, delimiter) {
+    const text = stringify(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// Bỏ ký tự control không hợp lệ trong XML 1.0
+function escapeXml(value) {
+    return stringify(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+function xmlRow(values, styleId = null) {
+    const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+    const cells = values.map(value => {
+        if (typeof value === 'number' && isFinite(value)) {
+            return `<Cell${style}><Data ss:Type="Number">${value}</Data></Cell>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<Cell${style}><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+        }
+        return `<Cell${style}><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+    });
+    return `<Row>${cells.join('')}</Row>`;
+}
+
+module.exports = DataExporter;
@@ -0,0 +1,256 @@
+/**
+ * Message Splitter
+ * Split long Telegram text into chunks under the API limits
+ * - Ưu tiên cắt ở cuối dòng, sau đó ở khoảng trắng
+ * - HTML / Markdown / MarkdownV2: tag và entity được đóng ở cuối chunk và mở lại ở chunk sau
+ *
+ * @author HD Software
+ */
+
+const MESSAGE_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+// Telegram HTML: https://core.telegram.org/bots/api#html-style
+const HTML_TOKEN_REGEX = /<[^>]+>|&[#a-zA-Z0-9]+;|[^<&]+|[<&]/g;
+const HTML_TAG_REGEX = /<\/?([a-zA-Z][a-zA-Z0-9-]*)[^>]*>/g;
+
+const MARKDOWN_V2_MARKERS = ['```', '||', '__', '`', '*', '_', '~'];
+const MARKDOWN_MARKERS = ['```', '`', '*', '_'];
+
+/**
+ * Split text into chunks
+ * @param {string} text
+ * @param {object} options - { limit, parseMode }
+ * @returns {string[]}
+ */
+function splitMessage(text, options = {}) {
+    const limit = options.limit || MESSAGE_LIMIT;
+    const syntax = getSyntax(options.parseMode);
+
+    if (text.length <= limit) return [text];
+
+    // Dành chỗ cho tag đóng/mở lại ở đầu và cuối mỗi chunk
+    const maxUnit = Math.max(Math.floor(limit / 2), 1);
+    const units = [];
+
+    for (const line of text.split(/(?<=\n)/)) {
+        if (line.length <= maxUnit) {
+            units.push(line);
+        } else {
+            units.push(...splitLongLine(line, maxUnit, syntax));
+        }
+    }
+
+    const chunks = [];
+    let stack = [];
+    let chunk = syntax.open(stack);
+    let hasContent = false;
+
+    for (const unit of units) {
+        const nextStack = syntax.scan(unit, stack);
+        const size = chunk.length + unit.length + syntax.close(nextStack).length;
+
+        if (size > limit && hasContent) {
+            chunks.push(trimEnd(chunk) + syntax.close(stack));
+            chunk = syntax.open(stack);
+            hasContent = false;
+        }
+
+        chunk += unit;
+        hasContent = hasContent || unit.trim().length > 0;
+        stack = nextStack;
+    }
+
+    if (hasContent) {
+        chunks.push(trimEnd(chunk) + syntax.close(stack));
+    }
+
+    return chunks;
+}
+
+/**
+ * Split a line longer than maxUnit at whitespace, never inside a tag/entity/escape
+ * @private
+ */
+function splitLongLine(line, maxUnit, syntax) {
+    const pieces = [];
+    let current = '';
+
+    for (const token of syntax.tokenize(line)) {
+        // Token đơn lẻ quá dài (chuỗi không có khoảng trắng) - cắt cứng
+        const parts = token.length > maxUnit ? token.match(new RegExp(`[\\s\\S]{1,${maxUnit}}`, 'g')) : [token];
+
+        for (const part of parts) {
+            if (current.length + part.length > maxUnit && current) {
+                pieces.push(current);
+                current = '';
+            }
+            current += part;
+        }
+    }
+
+    if (current) pieces.push(current);
+
+    return pieces;
+}
+
+/**
+ * Strip trailing newlines (chunk kết thúc tại ranh giới dòng)
+ * @private
+ */
+function trimEnd(chunk) {
+    return chunk.replace(/\n+$/, '');
+}
+
+/**
+ * Split text into words keeping whitespace attached
+ * @private
+ */
+function splitWords(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Syntax helpers theo parse mode: tokenize, scan (cập nhật stack), open, close
+ * @private
+ */
+function getSyntax(parseMode) {
+    const mode = parseMode ? String(parseMode).toLowerCase() : '';
+
+    if (mode === 'html') return htmlSyntax;
+    if (mode === 'markdownv2') return createMarkdownSyntax(MARKDOWN_V2_MARKERS);
+    if (mode === 'markdown') return createMarkdownSyntax(MARKDOWN_MARKERS);
+
+    return plainSyntax;
+}
+
+const plainSyntax = {
+    tokenize: splitWords,
+    scan: (text, stack) => stack,
+    open: () => '',
+    close: () => ''
+};
+
+const htmlSyntax = {
+    tokenize(text) {
+        const tokens = [];
+
+        for (const token of text.match(HTML_TOKEN_REGEX) || []) {
+            if (token.startsWith('<') || token.startsWith('&')) {
+                tokens.push(token);
+            } else {
+                tokens.push(...splitWords(token));
+            }
+        }
+
+        return tokens;
+    },
+
+    // stack: [{ name, tag }] - tag là thẻ mở đầy đủ (giữ attribute như href)
+    scan(text, stack) {
+        const next = stack.slice();
+        let match;
+
+        HTML_TAG_REGEX.lastIndex = 0;
+        while ((match = HTML_TAG_REGEX.exec(text)) !== null) {
+            const name = match[1].toLowerCase();
+
+            if (match[0].startsWith('</')) {
+                const index = next.map(t => t.name).lastIndexOf(name);
+                if (index !== -1) next.splice(index, 1);
+            } else {
+                next.push({ name, tag: match[0] });
+            }
+        }
+
+        return next;
+    },
+
+    open: (stack) => stack.map(t => t.tag).join(''),
+    close: (stack) => stack.slice().reverse().map(t => `</${t.name}>`).join('')
+};
+
+/**
+ * Markdown / MarkdownV2 syntax
+ * stack: [{ marker, open }] - open là marker mở (```lang\n cho code block)
+ * @private
+ */
+function createMarkdownSyntax(markers) {
+    const isCode = (marker) => marker === '```' || marker === '`';
+
+    const readMarker = (text, i) => markers.find(m => text.startsWith(m, i)) || null;
+
+    return {
+        tokenize(text) {
+            const tokens = [];
+            let word = '';
+
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    word += text[i] + text[i + 1];
+                    i++;
+                } else if (/\s/.test(text[i])) {
+                    tokens.push(word + text[i]);
+                    word = '';
+                } else {
+                    word += text[i];
+                }
+            }
+
+            if (word) tokens.push(word);
+
+            return tokens;
+        },
+
+        scan(text, stack) {
+            const next = stack.slice();
+
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                    continue;
+                }
+
+                const top = next[next.length - 1];
+
+                // Trong code chỉ marker đóng của chính nó có nghĩa
+                if (top && isCode(top.marker)) {
+                    if (text.startsWith(top.marker, i)) {
+                        next.pop();
+                        i += top.marker.length - 1;
+                    }
+                    continue;
+                }
+
+                const marker = readMarker(text, i);
+                if (!marker) continue;
+
+                const index = next.map(t => t.marker).lastIndexOf(marker);
+
+                if (index !== -1) {
+                    next.splice(index, 1);
+                    i += marker.length - 1;
+                } else if (marker === '```') {
+                    // Giữ ngôn ngữ của code block: ```js\n
+                    const lang = text.slice(i + 3).match(/^[^\s`]*\n?/)[0];
+                    next.push({ marker, open: '```' + lang });
+                    i += 2 + lang.length;
+                } else {
+                    next.push({ marker, open: marker });
+                    i += marker.length - 1;
+                }
+            }
+
+            return next;
+        },
+
+        open: (stack) => stack.map(t => t.open).join(''),
+        close: (stack) => stack.slice().reverse().map(t => t.marker).join('')
+    };
+}
+
+module.exports = {
+    splitMessage,
+    MESSAGE_LIMIT,
+    CAPTION_LIMIT
+};
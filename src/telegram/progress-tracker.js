@@ -0,0 +1,290 @@
+/**
+ * ProgressTracker
+ * Editable Telegram progress bar message with throttling, rate and ETA
+ *
+ * @author HD Software
+ */
+
+class ProgressTracker {
+    /**
+     * @param {TelegramBot} bot - TelegramBot instance
+     * @param {string|number} chatId - Chat ID (null = bot default chat)
+     * @param {number} total - Total items
+     * @param {object} options - { title, throttleMs, barLength, showRate, showEta, parseMode }
+     */
+    constructor(bot, chatId, total, options = {}) {
+        if (!bot) {
+            throw new Error('TelegramBot instance is required');
+        }
+
+        this.bot = bot;
+        this.chatId = chatId;
+        this.total = total;
+
+        this.config = {
+            title: options.title || '⏳ Processing...',
+            throttleMs: options.throttleMs !== undefined ? options.throttleMs : 3000,
+            barLength: options.barLength || 20,
+            showRate: options.showRate !== false,
+            showEta: options.showEta !== false,
+            parseMode: options.parseMode || 'HTML',
+            ...options
+        };
+
+        this.current = 0;
+        this.messageId = null;
+        this.startTime = null;
+        this.lastEditTime = 0;
+        this.lastText = null;
+        this.lastError = null;
+
+        this._timer = null;
+        this._editChain = Promise.resolve(); // Mọi lần edit chạy tuần tự theo chuỗi này
+        this._finished = false;
+    }
+
+    /**
+     * Send initial progress message
+     */
+    async start() {
+        this.startTime = Date.now();
+        this.lastText = this._formatProgress();
+
+        // Một message duy nhất để edit (bỏ qua splitLongMessages)
+        const msg = await this.bot.sendMessage(this.chatId, this.lastText, {
+            parse_mode: this.config.parseMode,
+            split: false
+        });
+
+        this.messageId = msg.message_id;
+        this.lastEditTime = Date.now();
+        return msg;
+    }
+
+    /**
+     * Update progress (throttled)
+     * Các lần gọi trong khoảng throttleMs được gộp lại, giá trị cuối cùng luôn được hiển thị.
+     * @param {number} current - Số item đã xử lý
+     */
+    async update(current) {
+        this.current = Math.min(current, this.total);
+
+        if (!this.messageId || this._finished) return;
+
+        const elapsed = Date.now() - this.lastEditTime;
+
+        if (elapsed >= this.config.throttleMs) {
+            this._clearTimer();
+            await this._flush();
+        } else if (!this._timer) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._flush().catch((error) => {
+                    this.lastError = error;
+                });
+            }, this.config.throttleMs - elapsed);
+        }
+    }
+
+    /**
+     * Increment progress by step
+     */
+    async increment(step = 1) {
+        return await this.update(this.current + step);
+    }
+
+    /**
+     * Mark as complete
+     * @param {string} text - Custom final text (optional)
+     */
+    async complete(text = null) {
+        this._finish();
+        this.current = this.total;
+
+        await this._queueEdit(() => {
+            if (text) return text;
+
+            const duration = this._formatDuration(Date.now() - (this.startTime || Date.now()));
+            return this._escape(`✅ Complete!\nProcessed: ${this.total} items\nTime: ${duration}`);
+        });
+    }
+
+    /**
+     * Mark as failed
+     * @param {Error|string} error
+     */
+    async fail(error) {
+        this._finish();
+
+        const message = error && error.message ? error.message : String(error);
+        const status = this._escape(`❌ Failed at ${this.current}/${this.total} items`);
+
+        await this._queueEdit(() => `${status}\n${this._formatCode(message)}`);
+    }
+
+    /**
+     * Items per second
+     */
+    getRate() {
+        if (!this.startTime) return 0;
+
+        const seconds = (Date.now() - this.startTime) / 1000;
+        return seconds > 0 ? this.current / seconds : 0;
+    }
+
+    /**
+     * Estimated remaining time in ms (null nếu chưa đủ dữ liệu)
+     */
+    getEta() {
+        const rate = this.getRate();
+        if (rate <= 0) return null;
+
+        return ((this.total - this.current) / rate) * 1000;
+    }
+
+    /**
+     * Edit message with current progress
+     * Bỏ qua nếu complete() / fail() đã được gọi trong lúc chờ edit trước
+     * @private
+     */
+    async _flush() {
+        await this._queueEdit(() => (this._finished ? null : this._formatProgress()));
+    }
+
+    /**
+     * Xếp edit vào chuỗi, text được tính lúc tới lượt (null = bỏ qua)
+     * @private
+     */
+    _queueEdit(getText) {
+        const editing = this._editChain.then(() => {
+            const text = getText();
+            return text === null ? undefined : this._edit(text);
+        });
+
+        this._editChain = editing;
+        return editing;
+    }
+
+    /**
+     * Dừng update: progress edit đang chờ không được gửi sau message cuối
+     * @private
+     */
+    _finish() {
+        this._finished = true;
+        this._clearTimer();
+    }
+
+    /**
+     * Edit message, bỏ qua nếu text không đổi
+     * @private
+     */
+    async _edit(text) {
+        if (!this.messageId || text === this.lastText) return;
+
+        try {
+            await this.bot.editMessageText(this.chatId, this.messageId, text, {
+                parse_mode: this.config.parseMode
+            });
+            this.lastText = text;
+        } catch (error) {
+            // Lỗi rate limit / "message is not modified" không làm gián đoạn job
+            this.lastError = error;
+        } finally {
+            this.lastEditTime = Date.now();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Format progress text
+     * @private
+     */
+    _formatProgress() {
+        const ratio = this.total > 0 ? this.current / this.total : 0;
+        const percent = (ratio * 100).toFixed(1);
+        const filled = Math.floor(ratio * this.config.barLength);
+        const bar = '█'.repeat(filled) + '░'.repeat(this.config.barLength - filled);
+
+        const lines = [
+            `${bar} ${percent}%`,
+            `${this.current}/${this.total} items`
+        ];
+
+        if (this.config.showRate) {
+            lines.push(`Rate: ${this.getRate().toFixed(2)} items/s`);
+        }
+
+        if (this.config.showEta) {
+            const eta = this.getEta();
+            lines.push(`ETA: ${eta === null ? '--' : this._formatDuration(eta)}`);
+        }
+
+        // Title giữ nguyên (có thể chứa markup), các dòng còn lại escape theo parseMode
+        return [this.config.title, ...lines.map(line => this._escape(line))].join('\n');
+    }
+
+    /**
+     * Escape plain text theo parseMode
+     * @private
+     */
+    _escape(text) {
+        switch (this.config.parseMode) {
+            case 'HTML':
+                return this.bot.escapeHTML(text);
+            case 'MarkdownV2':
+                return this.bot.escapeMarkdown(text);
+            case 'Markdown':
+                return text.replace(/([_*`\[])/g, '\\$1');
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Inline code theo parseMode
+     * @private
+     */
+    _formatCode(text) {
+        switch (this.config.parseMode) {
+            case 'HTML':
+                return `<code>${this.bot.escapeHTML(text)}</code>`;
+            case 'MarkdownV2':
+                return '`' + text.replace(/[`\\]/g, '\\$&') + '`';
+            case 'Markdown':
+                // Markdown cũ không escape được dấu ` trong code
+                return '`' + text.replace(/`/g, "'") + '`';
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Format ms as 1h 02m 03s
+     * @private
+     */
+    _formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+        }
+        return `${seconds}s`;
+    }
+}
+
+module.exports = ProgressTracker;
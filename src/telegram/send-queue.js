@@ -0,0 +1,184 @@
+/**
+ * SendQueue
+ * Outgoing request queue for TelegramBot with Telegram rate limits:
+ * - ~30 messages/second globally
+ * - 1 message/second per private chat, 20 messages/minute per group
+ * - global pause when Telegram answers 429 (retry_after)
+ *
+ * @author HD Software
+ */
+
+class SendQueue {
+    /**
+     * @param {object} options - { globalLimit, perChatInterval, groupChatInterval, maxSize, emitter }
+     */
+    constructor(options = {}) {
+        this.config = {
+            globalLimit: options.globalLimit || 30, // requests per second
+            perChatInterval: options.perChatInterval !== undefined ? options.perChatInterval : 1000,
+            groupChatInterval: options.groupChatInterval !== undefined ? options.groupChatInterval : 3000,
+            maxSize: options.maxSize || 1000
+        };
+
+        // Events được emit qua emitter (TelegramBot)
+        this.emitter = options.emitter || null;
+
+        this.items = [];
+        this.chatNextTime = new Map();
+        this.chatBusy = new Set();
+        this.sentTimes = [];
+        this.pausedUntil = 0;
+
+        this._timer = null;
+    }
+
+    /**
+     * Add request to queue
+     * @param {string|number} chatId
+     * @param {function} fn - async () => result
+     * @param {object} meta - { method } (dùng cho events)
+     * @returns {Promise} Kết quả của fn
+     */
+    push(chatId, fn, meta = {}) {
+        const key = chatId === undefined || chatId === null ? '_' : String(chatId);
+
+        if (this.items.length >= this.config.maxSize) {
+            const error = new Error(`Send queue is full (${this.config.maxSize})`);
+            this._emit('queue_drop', { chatId, method: meta.method, size: this.items.length, error });
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.items.push({ key, chatId, fn, meta, resolve, reject });
+            this._emit('queue_size', this.items.length);
+            this._drain();
+        });
+    }
+
+    /**
+     * Pause all sending (429 flood control)
+     * @param {number} ms
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this._emit('queue_pause', { until: this.pausedUntil, ms });
+    }
+
+    /**
+     * Reject all pending requests
+     */
+    clear(reason = 'Send queue cleared') {
+        const items = this.items;
+        this.items = [];
+
+        for (const item of items) {
+            const error = new Error(reason);
+            this._emit('queue_drop', { chatId: item.chatId, method: item.meta.method, size: 0, error });
+            item.reject(error);
+        }
+
+        this._emit('queue_size', 0);
+    }
+
+    /**
+     * Number of pending requests
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Start every request that is allowed to run now
+     * @private
+     */
+    _drain() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        const now = Date.now();
+        let waitUntil = Infinity;
+
+        if (this.pausedUntil > now) {
+            waitUntil = this.pausedUntil;
+        } else {
+            this.sentTimes = this.sentTimes.filter(t => now - t < 1000);
+            this._pruneChatTimes(now);
+
+            for (let i = 0; i < this.items.length; i++) {
+                if (this.sentTimes.length >= this.config.globalLimit) {
+                    waitUntil = Math.min(waitUntil, this.sentTimes[0] + 1000);
+                    break;
+                }
+
+                const item = this.items[i];
+
+                // Giữ thứ tự trong cùng một chat
+                if (this.chatBusy.has(item.key)) continue;
+
+                const readyAt = this.chatNextTime.get(item.key) || 0;
+                if (readyAt > now) {
+                    waitUntil = Math.min(waitUntil, readyAt);
+                    continue;
+                }
+
+                this.items.splice(i, 1);
+                i--;
+                this._run(item, now);
+            }
+        }
+
+        if (waitUntil !== Infinity && this.items.length > 0) {
+            this._timer = setTimeout(() => this._drain(), Math.max(waitUntil - Date.now(), 10));
+        }
+    }
+
+    /**
+     * Bỏ các chat đã hết thời gian chờ (broadcast tới nhiều chat không làm Map phình ra)
+     * @private
+     */
+    _pruneChatTimes(now) {
+        for (const [key, readyAt] of this.chatNextTime) {
+            if (readyAt <= now) this.chatNextTime.delete(key);
+        }
+    }
+
+    /**
+     * Run one request
+     * @private
+     */
+    _run(item, now) {
+        this.sentTimes.push(now);
+        this.chatBusy.add(item.key);
+        this._emit('queue_size', this.items.length);
+
+        Promise.resolve()
+            .then(() => item.fn())
+            .then(item.resolve, item.reject)
+            .then(() => {
+                this.chatBusy.delete(item.key);
+                this.chatNextTime.set(item.key, Date.now() + this._chatInterval(item.key));
+                this._drain();
+            });
+    }
+
+    /**
+     * Group/channel chat ids are negative (or @channelusername)
+     * @private
+     */
+    _chatInterval(key) {
+        return key.startsWith('-') || key.startsWith('@') ? this.config.groupChatInterval : this.config.perChatInterval;
+    }
+
+    /**
+     * @private
+     */
+    _emit(event, payload) {
+        if (this.emitter) {
+            this.emitter.emit(event, payload);
+        }
+    }
+}
+
+module.exports = SendQueue;
@@ -5,18 +5,37 @@
  */
 
 const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const FormData = require('form-data');
+const SendQueue = require('./send-queue');
+const { splitMessage, MESSAGE_LIMIT, CAPTION_LIMIT } = require('./message-splitter');
 
-class TelegramBot {
+// Methods đi qua send queue (gửi/sửa message trong một chat)
+const QUEUED_METHODS = /^(send|copy|forward|edit)/;
+
+// Số update_id gần nhất được nhớ để bỏ update webhook gửi lại
+const SEEN_UPDATES_LIMIT = 1000;
+
+class TelegramBot extends EventEmitter {
     constructor(botToken, options = {}) {
+            super();
+
             if (!botToken) {
                 throw new Error('Bot token is required');
             }
 
             this.botToken = botToken;
-            this.baseUrl = `https://api.telegram.org/bot${botToken}`;
+
+            // Local Bot API server (upload > 50MB) hoặc stub server khi test: 'http://localhost:8081'
+            this.apiRoot = (options.apiRoot || 'https://api.telegram.org').replace(/\/+$/, '');
+            if (!/^https?:\/\//i.test(this.apiRoot)) {
+                throw new Error('apiRoot must start with http:// or https://');
+            }
+            this.baseUrl = `${this.apiRoot}/bot${botToken}`;
 
             this.config = {
                 timeout: options.timeout || 30000,
@@ -25,101 +44,200 @@ class TelegramBot {
                 defaultChatId: options.defaultChatId || null,
                 defaultParseMode: options.defaultParseMode || 'HTML', // HTML, Markdown, MarkdownV2
                 disableNotification: options.disableNotification || false,
+                pollingTimeout: options.pollingTimeout || 30, // seconds (long polling)
+                pollingLimit: options.pollingLimit || 100,
+                pollingErrorDelay: options.pollingErrorDelay || 5000,
+                allowedUpdates: options.allowedUpdates || null,
+                autoAnswerCallback: options.autoAnswerCallback !== false,
+                callbackAnswerDelay: options.callbackAnswerDelay !== undefined ? options.callbackAnswerDelay : 1000, // ms, handler chưa answer -> tự answer
+                webhookSecret: options.webhookSecret || null,
+                rateLimit: options.rateLimit !== false,
+                globalRateLimit: options.globalRateLimit || 30, // messages per second
+                perChatInterval: options.perChatInterval || 1000, // ms between messages in one chat
+                groupChatInterval: options.groupChatInterval || 3000, // 20 messages/minute in groups
+                maxQueueSize: options.maxQueueSize || 1000,
+                splitLongMessages: options.splitLongMessages || false, // tự tách text > 4096 ký tự (split: true = luôn tách)
+                maxDownloadSize: options.maxDownloadSize || 20 * 1024 * 1024, // Bot API giới hạn 20MB
+                recipientsFile: options.recipientsFile || null, // JSON file cho broadcast
                 ...options
             };
 
+            this.sendQueue = this.config.rateLimit ? new SendQueue({
+                globalLimit: this.config.globalRateLimit,
+                perChatInterval: this.config.perChatInterval,
+                groupChatInterval: this.config.groupChatInterval,
+                maxSize: this.config.maxQueueSize,
+                emitter: this
+            }) : null;
+
             this.lastMessageId = null;
             this.lastError = null;
+
+            // Update routing state
+            this.updateOffset = 0;
+            this.isPolling = false;
+            this._pollLoop = null; // Promise của vòng polling đang chạy
+            this._pollAbort = null; // AbortController huỷ getUpdates đang chờ
+            this.webhookServer = null;
+            this._seenUpdateIds = new Set(); // update_id đã nhận qua webhook (giới hạn SEEN_UPDATES_LIMIT)
+            this._activeHandlers = new Set(); // handler đang chạy nền (polling / webhook)
+            this._commandHandlers = new Map();
+            this._callbackHandlers = [];
+            this._messageHandlers = [];
+            this.botUsername = null;
+
+            // Conversation state (ask)
+            this._pendingQuestions = new Map();
+            this._askChains = new Map();
+            this._askCounter = 0;
         }
         // ==================== CORE API METHODS ====================
         /**
          * Make API request to Telegram
+         * Các method gửi/sửa message đi qua send queue (rate limit).
+         * Multipart: truyền hàm () => FormData, form được dựng lại ở mỗi lần thử
+         * (stream file đã pipe thì không gửi lại được). FormData có sẵn chỉ được gửi một lần.
          * @private
          */
-    async _request(method, data = {}, isFormData = false) {
-        const url = `${this.baseUrl}/${method}`;
+    async _request(method, data = {}, isFormData = false, requestOptions = {}) {
+        const buildForm = typeof data === 'function' ? data : null;
+        const call = () => this._httpRequest(method, buildForm ? buildForm() : data, isFormData, requestOptions);
+        const attempts = isFormData && !buildForm ? 1 : this.config.retryAttempts;
+
+        if (this.sendQueue && QUEUED_METHODS.test(method)) {
+            const chatId = isFormData ? requestOptions.chatId : data.chat_id;
+            // Mỗi lần thử đều xếp lại vào queue để được tính vào rate limit
+            return await this._withRetry(() => this.sendQueue.push(chatId, call, { method }), attempts);
+        }
 
-        return await this._withRetry(async() => {
-            return new Promise((resolve, reject) => {
-                let postData;
-                let headers = {};
+        return await this._withRetry(call, attempts);
+    }
 
-                if (isFormData) {
-                    postData = data;
-                    headers = data.getHeaders();
-                } else {
-                    postData = JSON.stringify(data);
-                    headers = {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(postData)
-                    };
-                }
+    /**
+     * Single HTTP call to Bot API
+     * Lỗi API có thêm: errorCode, description, parameters, retryAfter
+     * @private
+     */
+    _httpRequest(method, data, isFormData, requestOptions) {
+        const url = `${this.baseUrl}/${method}`;
 
-                const urlObj = new URL(url);
-                const options = {
-                    hostname: urlObj.hostname,
-                    path: urlObj.pathname,
-                    method: 'POST',
-                    headers: headers,
-                    timeout: this.config.timeout
+        return new Promise((resolve, reject) => {
+            let postData;
+            let headers = {};
+
+            if (isFormData) {
+                postData = data;
+                headers = data.getHeaders();
+            } else {
+                postData = JSON.stringify(data);
+                headers = {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(postData)
                 };
+            }
 
-                const req = https.request(options, (res) => {
-                    let body = '';
-
-                    res.on('data', (chunk) => {
-                        body += chunk;
-                    });
-
-                    res.on('end', () => {
-                        try {
-                            const response = JSON.parse(body);
-
-                            if (response.ok) {
-                                resolve(response.result);
-                            } else {
-                                reject(new Error(`Telegram API Error: ${response.description}`));
-                            }
-                        } catch (error) {
-                            reject(new Error(`Parse error: ${error.message}`));
-                        }
-                    });
-                });
+            const urlObj = new URL(url);
+            const options = {
+                hostname: urlObj.hostname,
+                port: urlObj.port || null,
+                path: urlObj.pathname,
+                method: 'POST',
+                headers: headers,
+                timeout: requestOptions.timeout || this.config.timeout
+            };
+
+            const req = this._getHttpModule(urlObj).request(options, (res) => {
+                let body = '';
 
-                req.on('error', (error) => {
-                    reject(error);
+                res.on('data', (chunk) => {
+                    body += chunk;
                 });
 
-                req.on('timeout', () => {
-                    req.destroy();
-                    reject(new Error('Request timeout'));
+                res.on('end', () => {
+                    let response;
+
+                    try {
+                        response = JSON.parse(body);
+                    } catch (error) {
+                        const parseError = new Error(`Parse error: ${error.message}`);
+                        parseError.statusCode = res.statusCode;
+                        reject(parseError);
+                        return;
+                    }
+
+                    if (response.ok) {
+                        resolve(response.result);
+                    } else {
+                        const apiError = new Error(`Telegram API Error: ${response.description}`);
+                        apiError.statusCode = res.statusCode;
+                        apiError.errorCode = response.error_code;
+                        apiError.description = response.description;
+                        apiError.parameters = response.parameters || {};
+                        apiError.retryAfter = apiError.parameters.retry_after || null;
+                        reject(apiError);
+                    }
                 });
+            });
 
-                if (isFormData) {
-                    postData.pipe(req);
-                } else {
-                    req.write(postData);
-                    req.end();
-                }
+            req.on('error', (error) => {
+                reject(error);
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('Request timeout'));
             });
+
+            // Huỷ request (stopPolling huỷ long poll đang chờ)
+            if (requestOptions.signal) {
+                const onAbort = () => {
+                    const abortError = new Error('Request aborted');
+                    abortError.aborted = true;
+                    req.destroy();
+                    reject(abortError);
+                };
+
+                if (requestOptions.signal.aborted) onAbort();
+                else requestOptions.signal.addEventListener('abort', onAbort, { once: true });
+                req.on('close', () => requestOptions.signal.removeEventListener('abort', onAbort));
+            }
+
+            if (isFormData) {
+                postData.pipe(req);
+            } else {
+                req.write(postData);
+                req.end();
+            }
         });
     }
 
     /**
      * Retry logic
+     * Chỉ retry lỗi network, 5xx và 429 (chờ đúng retry_after).
      * @private
      */
-    async _withRetry(fn) {
+    async _withRetry(fn, attempts = this.config.retryAttempts) {
         let lastError;
 
-        for (let i = 0; i < this.config.retryAttempts; i++) {
+        for (let i = 0; i < attempts; i++) {
             try {
                 return await fn();
             } catch (error) {
                 lastError = error;
                 this.lastError = error;
 
-                if (i < this.config.retryAttempts - 1) {
+                if (!this._isRetryableError(error) || i === attempts - 1) {
+                    break;
+                }
+
+                if (error.retryAfter) {
+                    const waitMs = error.retryAfter * 1000;
+                    this.emit('rate_limited', { retryAfter: error.retryAfter, error });
+
+                    // Flood control áp dụng cho cả bot - dừng toàn bộ queue
+                    if (this.sendQueue) this.sendQueue.pause(waitMs);
+                    await this._sleep(waitMs);
+                } else {
                     await this._sleep(this.config.retryDelay * (i + 1));
                 }
             }
@@ -128,6 +246,27 @@ class TelegramBot {
         throw lastError;
     }
 
+    /**
+     * Network errors, 5xx and 429 are retryable; other API errors (400, 403...) are not
+     * @private
+     */
+    _isRetryableError(error) {
+        if (error.aborted) return false;
+
+        const code = error.errorCode || error.statusCode;
+
+        if (!code) return true; // ECONNRESET, ETIMEDOUT, Request timeout...
+        return code === 429 || code >= 500;
+    }
+
+    /**
+     * http or https module for apiRoot
+     * @private
+     */
+    _getHttpModule(urlObj) {
+        return urlObj.protocol === 'http:' ? http : https;
+    }
+
     /**
      * Sleep helper
      * @private
@@ -151,10 +290,18 @@ class TelegramBot {
     /**
      * Send text message
      * @param {string|number} chatId - Chat ID or username
-     * @param {string} text - Message text (max 4096 chars)
-     * @param {object} options - Additional options
+     * @param {string} text - Message text (max 4096 chars, hoặc dùng split: true)
+     * @param {object} options - Additional options; split: true tách text dài thành nhiều message
+     * @returns {object|array} Message; array of messages khi split: true,
+     *   hoặc khi config.splitLongMessages bật và text dài hơn 4096 ký tự (text ngắn vẫn trả về một message)
      */
     async sendMessage(chatId, text, options = {}) {
+        // split: true luôn trả về array; splitLongMessages chỉ tách text vượt giới hạn để giữ dạng trả về
+        const split = options.split !== undefined ? !!options.split : this.config.splitLongMessages && text.length > MESSAGE_LIMIT;
+        if (split) {
+            return await this._sendSplitMessage(chatId, text, options);
+        }
+
         const data = {
             chat_id: this._parseChatId(chatId),
             text: text,
@@ -205,6 +352,71 @@ class TelegramBot {
         });
     }
 
+    /**
+     * Split mode bật theo option split hoặc config.splitLongMessages
+     * @private
+     */
+    _shouldSplit(options) {
+        return options.split !== undefined ? !!options.split : !!this.config.splitLongMessages;
+    }
+
+    /**
+     * Send long text as several messages
+     * reply_to chỉ áp dụng cho message đầu, reply_markup cho message cuối.
+     * @private
+     */
+    async _sendSplitMessage(chatId, text, options) {
+        const parseMode = options.parse_mode || this.config.defaultParseMode;
+        const chunks = splitMessage(text, { limit: MESSAGE_LIMIT, parseMode });
+        const messages = [];
+
+        for (let i = 0; i < chunks.length; i++) {
+            const isFirst = i === 0;
+            const isLast = i === chunks.length - 1;
+
+            messages.push(await this.sendMessage(chatId, chunks[i], {
+                ...options,
+                split: false,
+                parse_mode: parseMode,
+                reply_to_message_id: isFirst ? options.reply_to_message_id : null,
+                reply_markup: isLast ? options.reply_markup : null
+            }));
+        }
+
+        return messages;
+    }
+
+    /**
+     * Caption quá 1024 ký tự (chỉ khi split mode bật)
+     * @private
+     */
+    _needsCaptionFollowUp(options) {
+        return !!options.caption && options.caption.length > CAPTION_LIMIT && this._shouldSplit(options);
+    }
+
+    /**
+     * Send media without caption, then caption as follow-up message(s)
+     * @private
+     */
+    async _sendWithCaptionFollowUp(chatId, options, send) {
+        const result = await send({...options, caption: null, split: false });
+        await this._sendCaptionFollowUp(chatId, options, result);
+        return result;
+    }
+
+    /**
+     * Send caption as reply to the media message
+     * @private
+     */
+    async _sendCaptionFollowUp(chatId, options, mediaMessage) {
+        return await this.sendMessage(chatId, options.caption, {
+            parse_mode: options.parse_mode,
+            disable_notification: options.disable_notification,
+            reply_to_message_id: mediaMessage ? mediaMessage.message_id : null,
+            split: true
+        });
+    }
+
     // ==================== MEDIA MESSAGES ====================
 
     /**
@@ -214,26 +426,33 @@ class TelegramBot {
      * @param {object} options
      */
     async sendPhoto(chatId, photo, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendPhoto(chatId, photo, opts));
+        }
+
         const isFile = typeof photo === 'string' && fs.existsSync(photo);
         const isBuffer = Buffer.isBuffer(photo);
 
         if (isFile || isBuffer) {
             // Upload file
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
 
-            if (isFile) {
-                form.append('photo', fs.createReadStream(photo));
-            } else {
-                form.append('photo', photo, { filename: 'photo.jpg' });
-            }
+                if (isFile) {
+                    form.append('photo', fs.createReadStream(photo));
+                } else {
+                    form.append('photo', photo, { filename: 'photo.jpg' });
+                }
 
-            if (options.caption) form.append('caption', options.caption);
-            if (options.parse_mode) form.append('parse_mode', options.parse_mode);
-            if (options.disable_notification) form.append('disable_notification', 'true');
-            if (options.reply_markup) form.append('reply_markup', JSON.stringify(options.reply_markup));
+                if (options.caption) form.append('caption', options.caption);
+                if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                if (options.disable_notification) form.append('disable_notification', 'true');
+                if (options.reply_markup) form.append('reply_markup', JSON.stringify(options.reply_markup));
+                return form;
+            };
 
-            const result = await this._request('sendPhoto', form, true);
+            const result = await this._request('sendPhoto', buildForm, true, { chatId: this._parseChatId(chatId) });
             this.lastMessageId = result.message_id;
             return result;
         } else {
@@ -259,26 +478,33 @@ class TelegramBot {
      * Send document/file
      */
     async sendDocument(chatId, document, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendDocument(chatId, document, opts));
+        }
+
         const isFile = typeof document === 'string' && fs.existsSync(document);
         const isBuffer = Buffer.isBuffer(document);
 
         if (isFile || isBuffer) {
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
 
-            if (isFile) {
-                form.append('document', fs.createReadStream(document));
-            } else {
-                const filename = options.filename || 'document.txt';
-                form.append('document', document, { filename });
-            }
+                if (isFile) {
+                    form.append('document', fs.createReadStream(document));
+                } else {
+                    const filename = options.filename || 'document.txt';
+                    form.append('document', document, { filename });
+                }
 
-            if (options.caption) form.append('caption', options.caption);
-            if (options.parse_mode) form.append('parse_mode', options.parse_mode);
-            if (options.disable_notification) form.append('disable_notification', 'true');
-            if (options.reply_markup) form.append('reply_markup', JSON.stringify(options.reply_markup));
+                if (options.caption) form.append('caption', options.caption);
+                if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                if (options.disable_notification) form.append('disable_notification', 'true');
+                if (options.reply_markup) form.append('reply_markup', JSON.stringify(options.reply_markup));
+                return form;
+            };
 
-            const result = await this._request('sendDocument', form, true);
+            const result = await this._request('sendDocument', buildForm, true, { chatId: this._parseChatId(chatId) });
             this.lastMessageId = result.message_id;
             return result;
         } else {
@@ -303,22 +529,35 @@ class TelegramBot {
      * Send video
      */
     async sendVideo(chatId, video, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendVideo(chatId, video, opts));
+        }
+
         const isFile = typeof video === 'string' && fs.existsSync(video);
+        const isBuffer = Buffer.isBuffer(video);
 
-        if (isFile) {
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
-            form.append('video', fs.createReadStream(video));
-
-            if (options.caption) form.append('caption', options.caption);
-            if (options.duration) form.append('duration', options.duration);
-            if (options.width) form.append('width', options.width);
-            if (options.height) form.append('height', options.height);
-            if (options.parse_mode) form.append('parse_mode', options.parse_mode);
-            if (options.supports_streaming) form.append('supports_streaming', 'true');
-            if (options.disable_notification) form.append('disable_notification', 'true');
-
-            const result = await this._request('sendVideo', form, true);
+        if (isFile || isBuffer) {
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
+
+                if (isFile) {
+                    form.append('video', fs.createReadStream(video));
+                } else {
+                    form.append('video', video, { filename: options.filename || 'video.mp4' });
+                }
+
+                if (options.caption) form.append('caption', options.caption);
+                if (options.duration) form.append('duration', options.duration);
+                if (options.width) form.append('width', options.width);
+                if (options.height) form.append('height', options.height);
+                if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                if (options.supports_streaming) form.append('supports_streaming', 'true');
+                if (options.disable_notification) form.append('disable_notification', 'true');
+                return form;
+            };
+
+            const result = await this._request('sendVideo', buildForm, true, { chatId: this._parseChatId(chatId) });
             this.lastMessageId = result.message_id;
             return result;
         } else {
@@ -346,20 +585,33 @@ class TelegramBot {
      * Send audio
      */
     async sendAudio(chatId, audio, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendAudio(chatId, audio, opts));
+        }
+
         const isFile = typeof audio === 'string' && fs.existsSync(audio);
+        const isBuffer = Buffer.isBuffer(audio);
 
-        if (isFile) {
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
-            form.append('audio', fs.createReadStream(audio));
+        if (isFile || isBuffer) {
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
+
+                if (isFile) {
+                    form.append('audio', fs.createReadStream(audio));
+                } else {
+                    form.append('audio', audio, { filename: options.filename || 'audio.mp3' });
+                }
 
-            if (options.caption) form.append('caption', options.caption);
-            if (options.duration) form.append('duration', options.duration);
-            if (options.performer) form.append('performer', options.performer);
-            if (options.title) form.append('title', options.title);
-            if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                if (options.caption) form.append('caption', options.caption);
+                if (options.duration) form.append('duration', options.duration);
+                if (options.performer) form.append('performer', options.performer);
+                if (options.title) form.append('title', options.title);
+                if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                return form;
+            };
 
-            const result = await this._request('sendAudio', form, true);
+            const result = await this._request('sendAudio', buildForm, true, { chatId: this._parseChatId(chatId) });
             this.lastMessageId = result.message_id;
             return result;
         } else {
@@ -385,18 +637,25 @@ class TelegramBot {
      * Send voice message
      */
     async sendVoice(chatId, voice, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendVoice(chatId, voice, opts));
+        }
+
         const isFile = typeof voice === 'string' && fs.existsSync(voice);
 
         if (isFile) {
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
-            form.append('voice', fs.createReadStream(voice));
-
-            if (options.caption) form.append('caption', options.caption);
-            if (options.duration) form.append('duration', options.duration);
-            if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
+                form.append('voice', fs.createReadStream(voice));
+
+                if (options.caption) form.append('caption', options.caption);
+                if (options.duration) form.append('duration', options.duration);
+                if (options.parse_mode) form.append('parse_mode', options.parse_mode);
+                return form;
+            };
 
-            return await this._request('sendVoice', form, true);
+            return await this._request('sendVoice', buildForm, true, { chatId: this._parseChatId(chatId) });
         } else {
             const data = {
                 chat_id: this._parseChatId(chatId),
@@ -416,19 +675,26 @@ class TelegramBot {
      * Send animation (GIF, etc)
      */
     async sendAnimation(chatId, animation, options = {}) {
+        if (this._needsCaptionFollowUp(options)) {
+            return await this._sendWithCaptionFollowUp(chatId, options, (opts) => this.sendAnimation(chatId, animation, opts));
+        }
+
         const isFile = typeof animation === 'string' && fs.existsSync(animation);
 
         if (isFile) {
-            const form = new FormData();
-            form.append('chat_id', this._parseChatId(chatId));
-            form.append('animation', fs.createReadStream(animation));
-
-            if (options.caption) form.append('caption', options.caption);
-            if (options.duration) form.append('duration', options.duration);
-            if (options.width) form.append('width', options.width);
-            if (options.height) form.append('height', options.height);
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', this._parseChatId(chatId));
+                form.append('animation', fs.createReadStream(animation));
+
+                if (options.caption) form.append('caption', options.caption);
+                if (options.duration) form.append('duration', options.duration);
+                if (options.width) form.append('width', options.width);
+                if (options.height) form.append('height', options.height);
+                return form;
+            };
 
-            return await this._request('sendAnimation', form, true);
+            return await this._request('sendAnimation', buildForm, true, { chatId: this._parseChatId(chatId) });
         } else {
             const data = {
                 chat_id: this._parseChatId(chatId),
@@ -445,6 +711,262 @@ class TelegramBot {
         }
     }
 
+    /**
+     * Send media group (album)
+     * Hỗ trợ local path, Buffer, URL và file_id; danh sách > 10 item được tách thành nhiều album.
+     * @param {string|number} chatId
+     * @param {array} media - [{ type, media, caption, parse_mode, filename }] hoặc path/Buffer/URL/file_id
+     * @param {object} options - { caption, parse_mode, type, disable_notification, protect_content, reply_to_message_id }
+     * @returns {array} Tất cả messages đã gửi
+     */
+    async sendMediaGroup(chatId, media, options = {}) {
+        if (!Array.isArray(media) || media.length === 0) {
+            throw new Error('media must be a non-empty array');
+        }
+
+        if (this._needsCaptionFollowUp(options)) {
+            const messages = await this.sendMediaGroup(chatId, media, {...options, caption: null });
+            await this._sendCaptionFollowUp(chatId, options, messages[0]);
+            return messages;
+        }
+
+        const items = media.map(item => this._normalizeMediaItem(item, options.type));
+
+        // Caption chung hiển thị trên item đầu tiên của album
+        if (options.caption && !items[0].caption) {
+            items[0].caption = options.caption;
+        }
+
+        const messages = [];
+
+        for (const group of this._splitMediaGroups(items)) {
+            if (group.length === 1) {
+                // sendMediaGroup yêu cầu 2-10 items
+                messages.push(await this._sendSingleMedia(chatId, group[0], options));
+                continue;
+            }
+
+            const result = await this._sendMediaGroupChunk(chatId, group, options);
+            messages.push(...result);
+        }
+
+        if (messages.length > 0) {
+            this.lastMessageId = messages[messages.length - 1].message_id;
+        }
+
+        return messages;
+    }
+
+    /**
+     * Send one album (2-10 items)
+     * @private
+     */
+    async _sendMediaGroupChunk(chatId, items, options) {
+        const parsedChatId = this._parseChatId(chatId);
+        const hasUpload = items.some(item => item.upload);
+
+        const mediaJson = items.map((item, i) => {
+            const entry = {
+                type: item.type,
+                media: item.upload ? `attach://file${i}` : item.media
+            };
+
+            if (item.caption) {
+                entry.caption = item.caption;
+                entry.parse_mode = item.parse_mode || options.parse_mode || this.config.defaultParseMode;
+            }
+
+            return entry;
+        });
+
+        if (hasUpload) {
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('chat_id', parsedChatId);
+                form.append('media', JSON.stringify(mediaJson));
+
+                items.forEach((item, i) => {
+                    if (!item.upload) return;
+
+                    if (Buffer.isBuffer(item.media)) {
+                        form.append(`file${i}`, item.media, { filename: item.filename });
+                    } else {
+                        form.append(`file${i}`, fs.createReadStream(item.media));
+                    }
+                });
+
+                if (options.disable_notification || this.config.disableNotification) form.append('disable_notification', 'true');
+                if (options.protect_content) form.append('protect_content', 'true');
+                if (options.reply_to_message_id) form.append('reply_to_message_id', String(options.reply_to_message_id));
+                return form;
+            };
+
+            return await this._request('sendMediaGroup', buildForm, true, { chatId: parsedChatId });
+        }
+
+        const data = {
+            chat_id: parsedChatId,
+            media: mediaJson,
+            disable_notification: options.disable_notification || this.config.disableNotification,
+            protect_content: options.protect_content || false,
+            reply_to_message_id: options.reply_to_message_id || null
+        };
+
+        Object.keys(data).forEach(key => data[key] === null && delete data[key]);
+
+        return await this._request('sendMediaGroup', data);
+    }
+
+    /**
+     * Send a single media item with the matching send method
+     * @private
+     */
+    async _sendSingleMedia(chatId, item, options) {
+        const mediaOptions = {
+            caption: item.caption,
+            parse_mode: item.parse_mode || options.parse_mode,
+            filename: item.filename,
+            disable_notification: options.disable_notification
+        };
+
+        switch (item.type) {
+            case 'video':
+                return await this.sendVideo(chatId, item.media, mediaOptions);
+            case 'audio':
+                return await this.sendAudio(chatId, item.media, mediaOptions);
+            case 'document':
+                return await this.sendDocument(chatId, item.media, mediaOptions);
+            default:
+                return await this.sendPhoto(chatId, item.media, mediaOptions);
+        }
+    }
+
+    /**
+     * Normalize album item to { type, media, caption, parse_mode, filename, upload }
+     * @private
+     */
+    _normalizeMediaItem(item, defaultType) {
+        const entry = (typeof item === 'string' || Buffer.isBuffer(item)) ? { media: item } : {...item };
+
+        if (!entry.media) {
+            throw new Error('Media item is missing "media"');
+        }
+
+        const isFile = typeof entry.media === 'string' && fs.existsSync(entry.media);
+        const isBuffer = Buffer.isBuffer(entry.media);
+
+        entry.upload = isFile || isBuffer;
+        if (!entry.type && !defaultType) {
+            const isUrl = typeof entry.media === 'string' && /^https?:\/\//i.test(entry.media);
+            const source = isFile ? entry.media : (isUrl ? new URL(entry.media).pathname : entry.filename);
+            entry.type = this._guessMediaType(source);
+
+            // Không có đuôi file: đoán theo nội dung (Buffer / local file)
+            if (!entry.type && entry.upload) {
+                entry.type = this._sniffMediaType(isBuffer ? entry.media : this._readFileHead(entry.media));
+            }
+        }
+        entry.type = entry.type || defaultType;
+
+        // file_id / URL không có đuôi: không biết là photo, video hay document
+        if (!entry.type) {
+            throw new Error(`Cannot detect media type of "${String(entry.media).slice(0, 64)}", pass { type } or options.type`);
+        }
+
+        if (isBuffer && !entry.filename) {
+            const extensions = { photo: 'jpg', video: 'mp4', audio: 'mp3', document: 'bin' };
+            entry.filename = `${entry.type}.${extensions[entry.type] || 'bin'}`;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Guess media type from file extension
+     * @private
+     */
+    _guessMediaType(filePath) {
+        const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+
+        if (['.jpg', '.jpeg', '.png', '.webp', '.bmp'].includes(ext)) return 'photo';
+        if (['.mp4', '.mov', '.webm', '.mkv', '.avi'].includes(ext)) return 'video';
+        if (['.mp3', '.m4a', '.ogg', '.wav', '.flac'].includes(ext)) return 'audio';
+        if (ext) return 'document';
+
+        return null;
+    }
+
+    /**
+     * Guess media type from file signature (magic bytes)
+     * @private
+     */
+    _sniffMediaType(head) {
+        const hex = head.slice(0, 12).toString('hex');
+        const ascii = head.slice(0, 12).toString('latin1');
+
+        if (hex.startsWith('ffd8ff') || hex.startsWith('89504e47') || (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP')) {
+            return 'photo';
+        }
+        if (ascii.slice(4, 8) === 'ftyp' || hex.startsWith('1a45dfa3')) return 'video';
+        if (ascii.startsWith('ID3') || ascii.startsWith('OggS') || ascii.startsWith('fLaC') || /^fff[23ab]/.test(hex)) return 'audio';
+
+        return 'document';
+    }
+
+    /**
+     * First bytes of a local file
+     * @private
+     */
+    _readFileHead(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(12);
+            const bytes = fs.readSync(fd, buffer, 0, 12, 0);
+            return buffer.slice(0, bytes);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Split items into albums of max 10
+     * Photo + video gộp chung được; document và audio chỉ gộp với cùng loại.
+     * Mỗi dãy cùng loại được chia đều (vd. 11 -> 6 + 5) để không có album lẻ 1 item.
+     * @private
+     */
+    _splitMediaGroups(items) {
+        const runs = [];
+        let currentKind = null;
+
+        for (const item of items) {
+            const kind = (item.type === 'photo' || item.type === 'video') ? 'visual' : item.type;
+
+            if (kind !== currentKind) {
+                runs.push([]);
+                currentKind = kind;
+            }
+            runs[runs.length - 1].push(item);
+        }
+
+        const groups = [];
+
+        for (const run of runs) {
+            const count = Math.ceil(run.length / 10);
+            const size = Math.floor(run.length / count);
+            let extra = run.length % count;
+            let start = 0;
+
+            for (let i = 0; i < count; i++) {
+                const end = start + size + (extra > 0 ? 1 : 0);
+                if (extra > 0) extra--;
+                groups.push(run.slice(start, end));
+                start = end;
+            }
+        }
+
+        return groups;
+    }
+
     /**
      * Send location
      */
@@ -750,28 +1272,1255 @@ class TelegramBot {
         };
 
         const result = await this._request('getFile', data);
-        result.download_url = `https://api.telegram.org/file/bot${this.botToken}/${result.file_path}`;
+
+        // Local Bot API server (--local) trả về đường dẫn tuyệt đối trên máy server
+        if (result.file_path && path.isAbsolute(result.file_path)) {
+            result.local_path = result.file_path;
+        }
+
+        // file_path tuyệt đối (local server) -> bỏ '/' đầu để URL không có '//'
+        result.download_url = `${this.apiRoot}/file/bot${this.botToken}/${String(result.file_path).replace(/^\/+/, '')}`;
         return result;
     }
 
-    // ==================== HELPER METHODS ====================
+    // ==================== FILE DOWNLOAD ====================
 
     /**
-     * Get last message ID
+     * Download file from Telegram
+     * @param {string} fileId
+     * @param {string|stream.Writable} dest - File path, writable stream, hoặc bỏ trống để nhận Buffer
+     * @param {object} options - { maxSize (bytes, mặc định 20MB), timeout, encoding }
+     * @returns {Promise<Buffer|string|object>} Buffer/string khi không có dest, ngược lại { path, size, file }
      */
-    getLastMessageId() {
-        return this.lastMessageId;
+    async downloadFile(fileId, dest = null, options = {}) {
+        const maxSize = options.maxSize || this.config.maxDownloadSize;
+        const timeout = options.timeout || this.config.timeout;
+        const file = await this.getFile(fileId);
+
+        if (file.file_size && file.file_size > maxSize) {
+            throw new Error(`File too large: ${file.file_size} bytes (max ${maxSize})`);
+        }
+
+        // Cùng máy với local Bot API server - đọc file trực tiếp
+        if (file.local_path && fs.existsSync(file.local_path)) {
+            return await this._copyLocalFile(file, dest, maxSize, timeout, options);
+        }
+
+        const chunks = [];
+        const target = dest ? (typeof dest === 'string' ? fs.createWriteStream(dest) : dest) : null;
+
+        try {
+            const size = await this._downloadToStream(file.download_url, maxSize, timeout, (chunk) => {
+                if (target) return target.write(chunk);
+                chunks.push(chunk);
+                return true;
+            }, target);
+
+            if (!target) {
+                const buffer = Buffer.concat(chunks);
+                return options.encoding ? buffer.toString(options.encoding) : buffer;
+            }
+
+            if (typeof dest === 'string') {
+                await new Promise((resolve, reject) => {
+                    target.once('error', reject);
+                    target.end(resolve);
+                });
+            }
+
+            return { path: typeof dest === 'string' ? dest : null, size, file };
+        } catch (error) {
+            // Không để lại file tải dở - xoá sau khi stream đóng hẳn (có thể vẫn đang mở file)
+            if (typeof dest === 'string') {
+                await this._destroyStream(target);
+                await fs.promises.unlink(dest).catch(() => {});
+            }
+            throw error;
+        }
     }
 
     /**
-     * Get last error
+     * Destroy write stream and wait for its 'close' event
+     * @private
      */
-    getLastError() {
-        return this.lastError;
+    _destroyStream(stream) {
+        return new Promise((resolve) => {
+            if (stream.closed) return resolve();
+            stream.once('close', resolve);
+            stream.destroy();
+        });
     }
 
     /**
-     * Set default chat ID
+     * Download the file attached to a message (document, photo, video, audio, voice)
+     * Dùng cho file operator gửi lên: cookies, proxy list...
+     * @param {object} message - Telegram message
+     * @param {string} dest - File path hoặc thư mục (giữ tên file gốc); bỏ trống để nhận Buffer/string
+     * @param {object} options - Như downloadFile
+     */
+    async downloadMessageFile(message, dest = null, options = {}) {
+        const attachment = this._getMessageAttachment(message);
+
+        if (!attachment) {
+            throw new Error('Message has no downloadable file');
+        }
+
+        let destPath = dest;
+        if (typeof dest === 'string' && fs.existsSync(dest) && fs.statSync(dest).isDirectory()) {
+            const fileName = path.basename(attachment.file_name || `${attachment.file_unique_id || attachment.file_id}`);
+            destPath = path.join(dest, fileName);
+        }
+
+        return await this.downloadFile(attachment.file_id, destPath, options);
+    }
+
+    /**
+     * Download a text document (cookies.txt, proxies.txt...) as string
+     */
+    async downloadDocumentText(message, options = {}) {
+        return await this.downloadMessageFile(message, null, { encoding: 'utf8', ...options });
+    }
+
+    /**
+     * Pick the downloadable attachment of a message
+     * @private
+     */
+    _getMessageAttachment(message) {
+        if (!message) return null;
+        if (message.document) return message.document;
+        if (message.photo && message.photo.length > 0) {
+            // Ảnh có nhiều kích thước - lấy ảnh lớn nhất
+            return message.photo[message.photo.length - 1];
+        }
+
+        return message.video || message.audio || message.voice || message.animation || message.video_note || null;
+    }
+
+    /**
+     * Read file served by local Bot API server from disk (cùng giới hạn maxSize / timeout như tải qua HTTP)
+     * @private
+     */
+    async _copyLocalFile(file, dest, maxSize, timeout, options) {
+        const { size } = await fs.promises.stat(file.local_path);
+        if (size > maxSize) {
+            throw new Error(`File too large: ${size} bytes (max ${maxSize})`);
+        }
+
+        const timeoutError = () => new Error(`Download timeout after ${timeout}ms`);
+
+        if (!dest) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            try {
+                const buffer = await fs.promises.readFile(file.local_path, { signal: controller.signal });
+                return options.encoding ? buffer.toString(options.encoding) : buffer;
+            } catch (error) {
+                throw error.name === 'AbortError' ? timeoutError() : error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        const source = fs.createReadStream(file.local_path);
+        const target = typeof dest === 'string' ? fs.createWriteStream(dest) : dest;
+        let timer = null;
+
+        try {
+            await new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(timeoutError()), timeout);
+                source.on('error', reject);
+                target.on('error', reject);
+                target.on('finish', resolve);
+                source.pipe(target, { end: typeof dest === 'string' });
+                if (typeof dest !== 'string') source.on('end', resolve);
+            });
+        } catch (error) {
+            source.destroy();
+            if (typeof dest === 'string') {
+                await this._destroyStream(target);
+                await fs.promises.unlink(dest).catch(() => {});
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        return { path: typeof dest === 'string' ? dest : null, size, file };
+    }
+
+    /**
+     * Stream HTTP GET body into onChunk with size limit and timeout
+     * @private
+     */
+    _downloadToStream(url, maxSize, timeout, onChunk, target) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            let settled = false;
+            let timer = null;
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                req.destroy();
+                reject(error);
+            };
+
+            const req = this._getHttpModule(new URL(url)).get(url, (res) => {
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    return fail(new Error(`Download failed: HTTP ${res.statusCode}`));
+                }
+
+                const contentLength = Number(res.headers['content-length'] || 0);
+                if (contentLength > maxSize) {
+                    res.resume();
+                    return fail(new Error(`File too large: ${contentLength} bytes (max ${maxSize})`));
+                }
+
+                res.on('data', (chunk) => {
+                    size += chunk.length;
+
+                    if (size > maxSize) {
+                        return fail(new Error(`File too large: more than ${maxSize} bytes`));
+                    }
+
+                    // Backpressure cho writable stream
+                    if (onChunk(chunk) === false && target) {
+                        res.pause();
+                        target.once('drain', () => res.resume());
+                    }
+                });
+
+                res.on('end', () => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    resolve(size);
+                });
+
+                res.on('error', fail);
+            });
+
+            req.on('error', fail);
+
+            if (target) target.on('error', fail);
+
+            // Timeout cho toàn bộ quá trình tải
+            timer = setTimeout(() => fail(new Error(`Download timeout after ${timeout}ms`)), timeout);
+        });
+    }
+
+    // ==================== BROADCAST ====================
+
+    /**
+     * Send the same payload to many chats (qua send queue)
+     * File (path / Buffer) chỉ upload một lần, các chat sau gửi lại bằng file_id.
+     * Khi gửi tới recipients file (chatIds = null), chat trả về "bot was blocked" / "chat not found"...
+     * được xoá khỏi file.
+     * @param {array|null} chatIds - Danh sách chat; null = dùng recipients file
+     * @param {string|object} payload - Text, hoặc { text | photo | document | video | animation | media, caption, options }
+     * @param {object} options - { concurrency, recipientsFile, removeUnreachable }
+     * @returns {Promise<object>} { [chatId]: { success, message_id, message_ids, error, errorCode, removed } }
+     */
+    async broadcast(chatIds, payload, options = {}) {
+        const recipientsFile = options.recipientsFile || this.config.recipientsFile;
+        const useStoredRecipients = !chatIds;
+        const recipients = chatIds || await this.getRecipients(recipientsFile);
+        const concurrency = options.concurrency || this.config.globalRateLimit;
+
+        const results = {};
+        const unreachable = [];
+        let index = 0;
+        let currentPayload = payload;
+
+        const sendTo = async(chatId) => {
+            try {
+                const result = await this._sendBroadcastPayload(chatId, currentPayload);
+                const messages = Array.isArray(result) ? result : [result];
+
+                results[chatId] = {
+                    success: true,
+                    message_id: messages[0] ? messages[0].message_id : null,
+                    message_ids: messages.map(m => m.message_id)
+                };
+                return messages;
+            } catch (error) {
+                results[chatId] = {
+                    success: false,
+                    error: error.message,
+                    errorCode: error.errorCode || null,
+                    removed: false
+                };
+
+                if (this._isUnreachableChatError(error)) {
+                    unreachable.push(chatId);
+                }
+                return null;
+            }
+        };
+
+        // Upload lần đầu tuần tự tới khi thành công, sau đó dùng file_id cho các chat còn lại
+        if (this._hasBroadcastUpload(payload)) {
+            while (index < recipients.length) {
+                const messages = await sendTo(recipients[index++]);
+                if (messages) {
+                    currentPayload = this._withBroadcastFileIds(payload, messages);
+                    break;
+                }
+            }
+        }
+
+        const worker = async() => {
+            while (index < recipients.length) {
+                await sendTo(recipients[index++]);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, recipients.length - index); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        // Chỉ dọn recipients file khi broadcast tới chính danh sách đó
+        if (useStoredRecipients && recipientsFile && unreachable.length > 0 && options.removeUnreachable !== false) {
+            const removed = (await this._pruneRecipients(unreachable, recipientsFile)).map(String);
+            unreachable.forEach(chatId => { results[chatId].removed = removed.includes(String(chatId)); });
+        }
+
+        this.emit('broadcast', { total: recipients.length, failed: Object.values(results).filter(r => !r.success).length });
+        return results;
+    }
+
+    /**
+     * Get recipients from JSON file ([chatId, ...])
+     */
+    async getRecipients(recipientsFile = this.config.recipientsFile) {
+        if (!recipientsFile) {
+            throw new Error('recipientsFile is required');
+        }
+
+        try {
+            const list = JSON.parse(await fs.promises.readFile(recipientsFile, 'utf8'));
+            return Array.isArray(list) ? list : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Add recipient(s) to JSON file
+     */
+    async addRecipients(chatIds, recipientsFile = this.config.recipientsFile) {
+        const list = await this.getRecipients(recipientsFile);
+        const ids = Array.isArray(chatIds) ? chatIds : [chatIds];
+
+        for (const chatId of ids) {
+            if (!list.some(id => String(id) === String(chatId))) list.push(chatId);
+        }
+
+        await this._saveRecipients(list, recipientsFile);
+        return list;
+    }
+
+    /**
+     * Remove recipient(s) from JSON file
+     */
+    async removeRecipients(chatIds, recipientsFile = this.config.recipientsFile) {
+        await this._pruneRecipients(chatIds, recipientsFile);
+        return await this.getRecipients(recipientsFile);
+    }
+
+    /**
+     * Remove recipient(s) from JSON file
+     * @private
+     * @returns {array} Chat ids thực sự có trong file và đã bị xoá
+     */
+    async _pruneRecipients(chatIds, recipientsFile) {
+        const ids = (Array.isArray(chatIds) ? chatIds : [chatIds]).map(String);
+        const list = await this.getRecipients(recipientsFile);
+        const removed = list.filter(id => ids.includes(String(id)));
+
+        if (removed.length === 0) return [];
+
+        await this._saveRecipients(list.filter(id => !ids.includes(String(id))), recipientsFile);
+        removed.forEach((chatId) => {
+            this.emit('recipient_removed', chatId);
+        });
+
+        return removed;
+    }
+
+    /**
+     * @private
+     */
+    async _saveRecipients(list, recipientsFile) {
+        await fs.promises.mkdir(path.dirname(path.resolve(recipientsFile)), { recursive: true });
+        await fs.promises.writeFile(recipientsFile, JSON.stringify(list, null, 2));
+    }
+
+    /**
+     * Send broadcast payload to one chat
+     * @private
+     */
+    async _sendBroadcastPayload(chatId, payload) {
+        if (typeof payload === 'string') {
+            return await this.sendMessage(chatId, payload);
+        }
+
+        const options = { caption: payload.caption, ...(payload.options || {}) };
+
+        if (payload.media) return await this.sendMediaGroup(chatId, payload.media, options);
+        if (payload.photo) return await this.sendPhoto(chatId, payload.photo, options);
+        if (payload.document) return await this.sendDocument(chatId, payload.document, options);
+        if (payload.video) return await this.sendVideo(chatId, payload.video, options);
+        if (payload.animation) return await this.sendAnimation(chatId, payload.animation, options);
+        if (payload.text) return await this.sendMessage(chatId, payload.text, payload.options || {});
+
+        throw new Error('Broadcast payload must contain text, photo, document, video, animation or media');
+    }
+
+    /**
+     * Payload có file cần upload (local path / Buffer)
+     * @private
+     */
+    _hasBroadcastUpload(payload) {
+        if (!payload || typeof payload !== 'object') return false;
+
+        const isUpload = (value) => Buffer.isBuffer(value) || (typeof value === 'string' && fs.existsSync(value));
+        if (payload.media) {
+            return payload.media.some(item => isUpload(item && item.media !== undefined ? item.media : item));
+        }
+        return ['photo', 'document', 'video', 'animation'].some(key => payload[key] && isUpload(payload[key]));
+    }
+
+    /**
+     * Thay file trong payload bằng file_id của message đã gửi
+     * @private
+     */
+    _withBroadcastFileIds(payload, messages) {
+        const fileIdOf = (message) => {
+            if (!message) return null;
+            if (message.photo && message.photo.length > 0) return message.photo[message.photo.length - 1].file_id;
+            const attachment = message.document || message.video || message.animation || message.audio;
+            return attachment ? attachment.file_id : null;
+        };
+
+        if (payload.media) {
+            // Album bị tách thành nhiều message theo đúng thứ tự item
+            if (messages.length !== payload.media.length) return payload;
+
+            const media = payload.media.map((item, i) => {
+                const fileId = fileIdOf(messages[i]);
+                if (!fileId) return item;
+                const entry = item && item.media !== undefined ? {...item } : { media: item };
+                return {
+                    ...entry,
+                    media: fileId,
+                    type: this._normalizeMediaItem(entry, payload.options && payload.options.type).type
+                };
+            });
+            return {...payload, media };
+        }
+
+        const key = ['photo', 'document', 'video', 'animation'].find(k => payload[k]);
+        const fileId = fileIdOf(messages[0]);
+        return fileId ? {...payload, [key]: fileId } : payload;
+    }
+
+    /**
+     * Errors meaning the chat will never accept messages from this bot
+     * @private
+     */
+    _isUnreachableChatError(error) {
+        return /bot was blocked|chat not found|user is deactivated|bot was kicked|bot is not a member|group chat was deleted/i
+            .test(error.description || error.message || '');
+    }
+
+    // ==================== UPDATES & ROUTING ====================
+
+    /**
+     * Get incoming updates (long polling)
+     * @param {object} options - { offset, limit, timeout (seconds), allowed_updates, signal }
+     */
+    async getUpdates(options = {}) {
+        const timeout = options.timeout !== undefined ? options.timeout : this.config.pollingTimeout;
+        const data = {
+            offset: options.offset || null,
+            limit: options.limit || this.config.pollingLimit,
+            timeout: timeout,
+            allowed_updates: options.allowed_updates || this.config.allowedUpdates
+        };
+
+        Object.keys(data).forEach(key => data[key] === null && delete data[key]);
+
+        // HTTP timeout phải dài hơn thời gian long polling
+        return await this._request('getUpdates', data, false, {
+            timeout: this.config.timeout + timeout * 1000,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * Answer callback query (tắt loading trên inline button)
+     */
+    async answerCallbackQuery(callbackQueryId, options = {}) {
+        const data = {
+            callback_query_id: callbackQueryId,
+            text: options.text || null,
+            show_alert: options.show_alert || false,
+            url: options.url || null,
+            cache_time: options.cache_time || null
+        };
+
+        Object.keys(data).forEach(key => data[key] === null && delete data[key]);
+
+        return await this._request('answerCallbackQuery', data);
+    }
+
+    /**
+     * Start long polling loop
+     * @param {object} options - { dropPendingUpdates }
+     */
+    async startPolling(options = {}) {
+        if (this.isPolling) return;
+        if (this.webhookServer) {
+            throw new Error('Cannot start polling while webhook server is running');
+        }
+
+        // Vòng polling cũ phải kết thúc hẳn, tránh 2 getUpdates song song (409 Conflict)
+        if (this._pollLoop) await this._pollLoop;
+
+        // Username dùng để lọc '/command@other_bot' trong group
+        if (!this.botUsername) {
+            const me = await this.getMe();
+            this.botUsername = me.username;
+        }
+
+        if (options.dropPendingUpdates) {
+            const pending = await this.getUpdates({ offset: -1, timeout: 0 });
+            if (pending.length > 0) {
+                this.updateOffset = pending[pending.length - 1].update_id + 1;
+            }
+        }
+
+        this.isPolling = true;
+        this._pollAbort = new AbortController();
+        this._pollLoop = this._poll(this._pollAbort.signal).finally(() => {
+            this._pollLoop = null;
+        });
+        this.emit('polling_start');
+    }
+
+    /**
+     * Stop long polling loop
+     * Huỷ getUpdates đang chờ và đợi vòng polling kết thúc.
+     * Updates nhận được sau khi stop sẽ không được xử lý và offset không tăng,
+     * nên chúng sẽ được nhận lại ở lần startPolling() tiếp theo.
+     */
+    async stopPolling() {
+        if (!this.isPolling) return;
+
+        this.isPolling = false;
+        this._pollAbort.abort();
+        if (this._pollLoop) await this._pollLoop;
+        this.emit('polling_stop');
+    }
+
+    /**
+     * Register command handler
+     * @param {string} command - Command, ví dụ '/status'
+     * @param {function} handler - (message, ctx) => {}
+     */
+    onCommand(command, handler) {
+        const name = String(command).replace(/^\//, '').toLowerCase();
+        this._commandHandlers.set(name, handler);
+        return this;
+    }
+
+    /**
+     * Register callback query handler
+     * @param {string|RegExp|function} matcher - callback_data (exact), RegExp, hoặc function(data)
+     * @param {function} handler - (query, ctx) => {}
+     */
+    onCallbackQuery(matcher, handler) {
+        this._callbackHandlers.push({ matcher, handler });
+        return this;
+    }
+
+    /**
+     * Register handler for messages not handled by a command
+     * @param {function} handler - (message, ctx) => {}
+     */
+    onMessage(handler) {
+        this._messageHandlers.push(handler);
+        return this;
+    }
+
+    /**
+     * Dispatch one update to registered handlers
+     * Chờ handler chạy xong. Polling và webhook không chờ handler (xem _receiveUpdate)
+     * nên handler gọi ask() được; tự gọi processUpdate tuần tự thì handler không được chờ ask().
+     * @param {object} update - Telegram Update object
+     */
+    async processUpdate(update) {
+        if (await this._acceptUpdate(update)) return;
+        await this._dispatchUpdate(update);
+    }
+
+    /**
+     * Nhận update từ polling / webhook: trả lời ask() ngay, handler chạy nền
+     * để vòng nhận update không bị chặn khi handler đang chờ ask()
+     * @private
+     */
+    async _receiveUpdate(update) {
+        if (await this._acceptUpdate(update)) return;
+
+        const running = this._dispatchUpdate(update);
+        this._activeHandlers.add(running);
+        running.then(() => this._activeHandlers.delete(running));
+    }
+
+    /**
+     * Cập nhật offset, emit 'update' và dùng update làm câu trả lời cho ask() nếu có
+     * @private
+     * @returns {boolean} true nếu update đã được dùng làm câu trả lời
+     */
+    async _acceptUpdate(update) {
+        if (update.update_id >= this.updateOffset) {
+            this.updateOffset = update.update_id + 1;
+        }
+
+        this.emit('update', update);
+
+        try {
+            if (update.message) return await this._handlePendingMessage(update.message);
+            if (update.callback_query) return await this._handlePendingCallback(update.callback_query);
+        } catch (error) {
+            this.lastError = error;
+            this.emit('handler_error', error, update);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Route update to command / message / callback handlers
+     * @private
+     */
+    async _dispatchUpdate(update) {
+        try {
+            if (update.message) {
+                await this._dispatchMessage(update.message);
+            } else if (update.callback_query) {
+                await this._dispatchCallbackQuery(update.callback_query);
+            }
+        } catch (error) {
+            this.lastError = error;
+            this.emit('handler_error', error, update);
+        }
+    }
+
+    /**
+     * Polling loop
+     * @private
+     */
+    async _poll(signal) {
+        const aborted = new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+        while (this.isPolling && !signal.aborted) {
+            try {
+                const updates = await this.getUpdates({ offset: this.updateOffset, signal });
+
+                for (const update of updates) {
+                    if (!this.isPolling || signal.aborted) break;
+                    await this._receiveUpdate(update);
+                }
+            } catch (error) {
+                if (signal.aborted) break;
+
+                this.lastError = error;
+                this.emit('polling_error', error);
+
+                await Promise.race([this._sleep(this.config.pollingErrorDelay), aborted]);
+            }
+        }
+    }
+
+    /**
+     * Route message to command or message handlers
+     * @private
+     */
+    async _dispatchMessage(message) {
+        const chatId = message.chat && message.chat.id;
+        const ctx = {
+            bot: this,
+            chatId,
+            reply: (text, options = {}) => this.sendMessage(chatId, text, options)
+        };
+
+        this.emit('message', message);
+
+        const command = this._parseCommand(message);
+        if (command) {
+            const handler = this._commandHandlers.get(command.name);
+            if (handler) {
+                await handler(message, {...ctx, command: command.name, args: command.args });
+                return;
+            }
+        }
+
+        for (const handler of this._messageHandlers) {
+            await handler(message, ctx);
+        }
+    }
+
+    /**
+     * Route callback query to matching handler
+     * Handler chưa gọi ctx.answer() sau callbackAnswerDelay (hoặc khi xong) -> tự answer để tắt loading;
+     * ctx.answer() sau đó trả về false (một query chỉ answer được một lần).
+     * @private
+     */
+    async _dispatchCallbackQuery(query) {
+        const message = query.message || {};
+        const chatId = message.chat && message.chat.id;
+        let answered = false;
+
+        const autoAnswer = async() => {
+            if (answered) return;
+            answered = true;
+
+            try {
+                await this.answerCallbackQuery(query.id);
+            } catch (error) {
+                // Query quá hạn (> 15 phút) không answer được - bỏ qua
+                this.lastError = error;
+            }
+        };
+
+        const ctx = {
+            bot: this,
+            chatId,
+            messageId: message.message_id,
+            data: query.data,
+            reply: (text, options = {}) => this.sendMessage(chatId, text, options),
+            answer: async(text, options = {}) => {
+                if (answered) return false;
+                answered = true;
+                return await this.answerCallbackQuery(query.id, {...options, text });
+            }
+        };
+
+        this.emit('callback_query', query);
+
+        const timer = this.config.autoAnswerCallback ? setTimeout(autoAnswer, this.config.callbackAnswerDelay) : null;
+
+        try {
+            const route = this._callbackHandlers.find(({ matcher }) => this._matchCallbackData(matcher, query.data));
+            if (route) {
+                await route.handler(query, ctx);
+            }
+        } finally {
+            clearTimeout(timer);
+            if (this.config.autoAnswerCallback) await autoAnswer();
+        }
+    }
+
+    /**
+     * Parse '/command@bot_username arg1 arg2'
+     * @private
+     */
+    _parseCommand(message) {
+        const text = message.text || '';
+        const match = text.match(/^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/);
+
+        if (!match) return null;
+
+        // Bỏ qua command gửi cho bot khác trong group
+        if (match[2] && this.botUsername && match[2].toLowerCase() !== this.botUsername.toLowerCase()) {
+            return null;
+        }
+
+        const argsText = (match[3] || '').trim();
+
+        return {
+            name: match[1].toLowerCase(),
+            args: argsText ? argsText.split(/\s+/) : [],
+            argsText
+        };
+    }
+
+    /**
+     * Match callback_data against string / RegExp / function
+     * @private
+     */
+    _matchCallbackData(matcher, data) {
+        if (typeof matcher === 'string') return matcher === data;
+        if (matcher instanceof RegExp) return matcher.test(data || '');
+        if (typeof matcher === 'function') return !!matcher(data);
+        return false;
+    }
+
+    // ==================== CONVERSATION ====================
+
+    /**
+     * Ask a question and wait for the next reply / button press in that chat
+     * Cần bot đang nhận updates (startPolling, startWebhook hoặc createWebhookHandler).
+     * Nhiều câu hỏi cho cùng một chat được hỏi lần lượt.
+     * @param {string|number} chatId
+     * @param {string} question
+     * @param {object} options - { timeout, validate, keyboard, invalidMessage, fromUserId, filter, allowCommands, raw, parse_mode }
+     *   - validate: (answer) => true | false | 'error message' (có thể async)
+     *   - filter: (message) => boolean - message không qua filter được xử lý như bình thường
+     *   - allowCommands: true => '/command' cũng được tính là câu trả lời (mặc định đi tới command handler)
+     *   - keyboard: ['Yes', 'No'] hoặc [[{ text, value }]] - inline buttons
+     *   - raw: true => resolve { answer, message, callbackQuery }
+     * @returns {Promise<string|object>}
+     */
+    async ask(chatId, question, options = {}) {
+        const key = String(this._parseChatId(chatId));
+        const previous = this._askChains.get(key) || Promise.resolve();
+
+        const current = previous.catch(() => {}).then(() => this._askNow(chatId, question, options));
+        this._askChains.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this._askChains.get(key) === current) {
+                this._askChains.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Cancel pending question in a chat
+     */
+    cancelAsk(chatId, reason = 'Question cancelled') {
+        const pending = this._pendingQuestions.get(String(this._parseChatId(chatId)));
+        if (!pending) return false;
+
+        pending.finish(new Error(reason));
+        return true;
+    }
+
+    /**
+     * Send question and register pending answer
+     * @private
+     */
+    async _askNow(chatId, question, options) {
+        const parsedChatId = this._parseChatId(chatId);
+        const key = String(parsedChatId);
+        const askId = (++this._askCounter).toString(36);
+        const timeout = options.timeout || 5 * 60 * 1000;
+
+        let replyMarkup = this.createForceReply();
+        let buttonValues = null;
+
+        if (options.keyboard) {
+            buttonValues = [];
+            const rows = options.keyboard.map(row => (Array.isArray(row) ? row : [row]).map((button) => {
+                const text = typeof button === 'object' ? button.text : String(button);
+                const value = typeof button === 'object' && button.value !== undefined ? String(button.value) : text;
+
+                buttonValues.push(value);
+                return this.createInlineButton(text, { callback_data: `__ask:${askId}:${buttonValues.length - 1}` });
+            }));
+
+            replyMarkup = this.createInlineKeyboard(rows);
+        }
+
+        const sent = await this.sendMessage(parsedChatId, question, {
+            parse_mode: options.parse_mode,
+            reply_markup: replyMarkup
+        });
+        // Câu hỏi dài bị split: keyboard nằm ở message cuối
+        const message = Array.isArray(sent) ? sent[sent.length - 1] : sent;
+
+        return await new Promise((resolve, reject) => {
+            const pending = {
+                askId,
+                chatId: parsedChatId,
+                messageId: message.message_id,
+                buttonValues,
+                options,
+                finish: (error, result) => {
+                    clearTimeout(pending.timer);
+                    this._pendingQuestions.delete(key);
+
+                    if (error) reject(error);
+                    else resolve(result);
+                }
+            };
+
+            pending.timer = setTimeout(() => {
+                pending.finish(new Error(`No answer within ${timeout}ms: ${question}`));
+            }, timeout);
+
+            this._pendingQuestions.set(key, pending);
+        });
+    }
+
+    /**
+     * Resolve pending question from message
+     * @private
+     * @returns {boolean} true nếu message đã được dùng làm câu trả lời
+     */
+    async _handlePendingMessage(message) {
+        const pending = message.chat && this._pendingQuestions.get(String(message.chat.id));
+        if (!pending) return false;
+
+        if (pending.options.fromUserId && (!message.from || message.from.id !== pending.options.fromUserId)) {
+            return false;
+        }
+
+        if (pending.options.filter && !pending.options.filter(message)) {
+            return false;
+        }
+
+        const answer = message.text !== undefined ? message.text : (message.caption || '');
+        const command = this._parseCommand(message);
+
+        if (command && command.name === 'cancel') {
+            pending.finish(new Error('Question cancelled by user'));
+            return true;
+        }
+
+        // Command khác (/stop, /status...) vẫn tới handler, câu hỏi tiếp tục chờ
+        if (command && !pending.options.allowCommands) {
+            return false;
+        }
+
+        await this._resolvePendingAnswer(pending, answer, { message });
+        return true;
+    }
+
+    /**
+     * Resolve pending question from inline button
+     * @private
+     */
+    async _handlePendingCallback(query) {
+        const match = (query.data || '').match(/^__ask:([a-z0-9]+):(\d+)$/);
+        if (!match) return false;
+
+        const message = query.message || {};
+        const pending = message.chat && this._pendingQuestions.get(String(message.chat.id));
+
+        if (!pending || pending.askId !== match[1]) {
+            await this.answerCallbackQuery(query.id, { text: 'This question has expired' }).catch(() => {});
+            return true;
+        }
+
+        await this.answerCallbackQuery(query.id).catch(() => {});
+
+        const answer = pending.buttonValues[Number(match[2])];
+        const resolved = await this._resolvePendingAnswer(pending, answer, { callbackQuery: query });
+
+        // Ẩn keyboard sau khi đã chọn
+        if (resolved) {
+            await this.editMessageReplyMarkup(pending.chatId, pending.messageId, { inline_keyboard: [] }).catch(() => {});
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate answer, resolve or ask again
+     * @private
+     */
+    async _resolvePendingAnswer(pending, answer, source) {
+        const { validate, invalidMessage, raw } = pending.options;
+
+        if (validate) {
+            let valid;
+            try {
+                valid = await validate(answer);
+            } catch (error) {
+                valid = error.message;
+            }
+
+            if (valid !== true) {
+                const text = typeof valid === 'string' ? valid : (invalidMessage || '⚠️ Invalid answer, please try again');
+                await this.sendMessage(pending.chatId, text, {
+                    reply_markup: pending.buttonValues ? null : this.createForceReply()
+                });
+                return false;
+            }
+        }
+
+        pending.finish(null, raw ? { answer, message: source.message || null, callbackQuery: source.callbackQuery || null } : answer);
+        return true;
+    }
+
+    // ==================== WEBHOOK ====================
+
+    /**
+     * Set webhook URL
+     * @param {string} url - HTTPS URL nhận updates
+     * @param {object} options - { secret_token, max_connections, allowed_updates, drop_pending_updates, ip_address, certificate }
+     */
+    async setWebhook(url, options = {}) {
+        if (options.certificate) {
+            const buildForm = () => {
+                const form = new FormData();
+                form.append('url', url);
+                form.append('certificate', fs.createReadStream(options.certificate));
+
+                if (options.secret_token) form.append('secret_token', options.secret_token);
+                if (options.max_connections) form.append('max_connections', String(options.max_connections));
+                if (options.allowed_updates) form.append('allowed_updates', JSON.stringify(options.allowed_updates));
+                if (options.drop_pending_updates) form.append('drop_pending_updates', 'true');
+                if (options.ip_address) form.append('ip_address', options.ip_address);
+                return form;
+            };
+
+            await this._request('setWebhook', buildForm, true);
+        } else {
+            const data = {
+                url: url,
+                secret_token: options.secret_token || null,
+                max_connections: options.max_connections || null,
+                allowed_updates: options.allowed_updates || this.config.allowedUpdates,
+                drop_pending_updates: options.drop_pending_updates || false,
+                ip_address: options.ip_address || null
+            };
+
+            Object.keys(data).forEach(key => data[key] === null && delete data[key]);
+
+            await this._request('setWebhook', data);
+        }
+
+        // Handler sẽ kiểm tra header X-Telegram-Bot-Api-Secret-Token theo secret này
+        if (options.secret_token) {
+            this.config.webhookSecret = options.secret_token;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete webhook (cần gọi trước khi chuyển sang polling)
+     */
+    async deleteWebhook(options = {}) {
+        const data = {
+            drop_pending_updates: options.drop_pending_updates || false
+        };
+
+        return await this._request('deleteWebhook', data);
+    }
+
+    /**
+     * Get current webhook status
+     */
+    async getWebhookInfo() {
+        return await this._request('getWebhookInfo');
+    }
+
+    /**
+     * Create HTTP request handler for webhook updates
+     * Mount được vào http.createServer hoặc express: app.post('/webhook', bot.createWebhookHandler())
+     * Response được gửi khi update đã được nhận (câu trả lời ask() đã xử lý), handler chạy nền.
+     * @param {object} options - { secretToken, maxBodySize }
+     * @returns {function} (req, res) => Promise
+     */
+    createWebhookHandler(options = {}) {
+        const maxBodySize = options.maxBodySize || 1024 * 1024;
+
+        return async(req, res) => {
+            const secretToken = options.secretToken || this.config.webhookSecret;
+
+            if (req.method !== 'POST') {
+                return this._sendWebhookResponse(res, 405, 'Method Not Allowed');
+            }
+
+            if (secretToken && !this._checkWebhookSecret(req.headers['x-telegram-bot-api-secret-token'], secretToken)) {
+                this.emit('webhook_error', new Error('Invalid webhook secret token'));
+                return this._sendWebhookResponse(res, 401, 'Unauthorized');
+            }
+
+            let update;
+            try {
+                update = await this._readWebhookBody(req, maxBodySize);
+            } catch (error) {
+                this.emit('webhook_error', error);
+                return this._sendWebhookResponse(res, 400, 'Bad Request');
+            }
+
+            if (!update || typeof update.update_id !== 'number') {
+                this.emit('webhook_error', new Error('Invalid update payload'));
+                return this._sendWebhookResponse(res, 400, 'Bad Request');
+            }
+
+            // Telegram gửi lại update nếu response bị timeout - bỏ qua update đã xử lý.
+            // Không so với offset: max_connections > 1 thì update đến không theo thứ tự.
+            if (this._markUpdateSeen(update.update_id)) {
+                await this._receiveUpdate(update);
+            }
+
+            return this._sendWebhookResponse(res, 200, 'OK');
+        };
+    }
+
+    /**
+     * Ghi nhớ update_id, false nếu đã nhận trước đó
+     * @private
+     */
+    _markUpdateSeen(updateId) {
+        if (this._seenUpdateIds.has(updateId)) return false;
+
+        this._seenUpdateIds.add(updateId);
+        if (this._seenUpdateIds.size > SEEN_UPDATES_LIMIT) {
+            // Set giữ thứ tự thêm vào -> phần tử đầu là update cũ nhất
+            this._seenUpdateIds.delete(this._seenUpdateIds.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Start built-in HTTP server for webhook
+     * Thường đặt sau reverse proxy (nginx) có HTTPS.
+     * @param {object} options - { port, host, path, secretToken, maxBodySize, fetchBotInfo }
+     * @returns {Promise<{port: number, host: string, path: string}>}
+     */
+    async startWebhook(options = {}) {
+        if (this.isPolling) {
+            throw new Error('Cannot start webhook while polling is running');
+        }
+        if (this.webhookServer) {
+            throw new Error('Webhook server is already running');
+        }
+
+        const webhookPath = options.path || '/';
+        const handler = this.createWebhookHandler(options);
+
+        if (!this.botUsername && options.fetchBotInfo !== false) {
+            const me = await this.getMe();
+            this.botUsername = me.username;
+        }
+
+        const server = http.createServer((req, res) => {
+            const pathname = req.url.split('?')[0];
+
+            if (pathname !== webhookPath) {
+                return this._sendWebhookResponse(res, 404, 'Not Found');
+            }
+
+            handler(req, res).catch((error) => {
+                this.emit('webhook_error', error);
+                this._sendWebhookResponse(res, 500, 'Internal Server Error');
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(options.port || 0, options.host || '0.0.0.0', () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.webhookServer = server;
+        this.emit('webhook_start');
+
+        const address = server.address();
+        return { port: address.port, host: address.address, path: webhookPath };
+    }
+
+    /**
+     * Stop built-in webhook server
+     */
+    async stopWebhook() {
+        if (!this.webhookServer) return;
+
+        const server = this.webhookServer;
+        this.webhookServer = null;
+
+        await new Promise(resolve => server.close(() => resolve()));
+        this.emit('webhook_stop');
+    }
+
+    /**
+     * Read and parse webhook JSON body
+     * @private
+     */
+    _readWebhookBody(req, maxBodySize) {
+        // Body đã được parse sẵn (express.json(), body-parser...)
+        if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+            return Promise.resolve(req.body);
+        }
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBodySize) {
+                    reject(new Error('Webhook body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    reject(new Error(`Parse error: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Constant-time secret comparison
+     * @private
+     */
+    _checkWebhookSecret(received, expected) {
+        if (typeof received !== 'string') return false;
+
+        const a = Buffer.from(received);
+        const b = Buffer.from(expected);
+
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Send plain response (http.ServerResponse hoặc express res)
+     * @private
+     */
+    _sendWebhookResponse(res, statusCode, message) {
+        if (res.headersSent) return;
+
+        res.statusCode = statusCode;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end(message);
+    }
+
+    // ==================== HELPER METHODS ====================
+
+    /**
+     * Get last message ID
+     */
+    getLastMessageId() {
+        return this.lastMessageId;
+    }
+
+    /**
+     * Get last error
+     */
+    getLastError() {
+        return this.lastError;
+    }
+
+    /**
+     * Set default chat ID
      */
     setDefaultChatId(chatId) {
         this.config.defaultChatId = chatId;
@@ -1084,99 +2833,35 @@ await runWithTelegramNotification(bot, 'Scrape Products', async () => {
   await scrapeProducts();
 });
 
-// Example 22: Progress tracker
-class ProgressTracker {
-  constructor(bot, chatId, total) {
-    this.bot = bot;
-    this.chatId = chatId;
-    this.total = total;
-    this.current = 0;
-    this.messageId = null;
-    this.startTime = Date.now();
-  }
-  
-  async start() {
-    const msg = await this.bot.sendMessage(this.chatId, this._formatProgress());
-    this.messageId = msg.message_id;
-  }
-  
-  async update(current) {
-    this.current = current;
-    
-    if (this.messageId) {
-      try {
-        await this.bot.editMessageText(
-          this.chatId, 
-          this.messageId, 
-          this._formatProgress()
-        );
-      } catch (error) {
-        // Ignore rate limit errors
-      }
-    }
-  }
-  
-  async complete() {
-    const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
-    
-    await this.bot.editMessageText(
-      this.chatId,
-      this.messageId,
-      `✅ Complete!\nProcessed: ${this.total} items\nTime: ${duration}s`
-    );
-  }
-  
-  _formatProgress() {
-    const percent = ((this.current / this.total) * 100).toFixed(1);
-    const barLength = 20;
-    const filled = Math.floor((this.current / this.total) * barLength);
-    const bar = '█'.repeat(filled) + '░'.repeat(barLength - filled);
-    
-    return `⏳ Processing...\n${bar} ${percent}%\n${this.current}/${this.total} items`;
-  }
-}
+// Example 22: Progress tracker (src/telegram/progress-tracker.js)
+const { telegram } = require('@hd-software/tool-helper');
 
-// Usage
-const tracker = new ProgressTracker(bot, 'YOUR_CHAT_ID', 100);
+const tracker = new telegram.ProgressTracker(bot, 'YOUR_CHAT_ID', 100, {
+  title: '⏳ Scraping products...',
+  throttleMs: 3000 // edits are merged, the latest value is always shown
+});
 await tracker.start();
 
 for (let i = 0; i < 100; i++) {
-  // Do work
   await processItem(i);
-  
-  // Update every 5 items to avoid rate limits
-  if (i % 5 === 0) {
-    await tracker.update(i + 1);
-  }
+  await tracker.update(i + 1); // shows bar, rate (items/s) and ETA
 }
 
 await tracker.complete();
 
 // Example 23: Send media group (album)
-async sendMediaGroup(chatId, media, options = {}) {
-  const data = {
-    chat_id: this._parseChatId(chatId),
-    media: media,
-    disable_notification: options.disable_notification || this.config.disableNotification,
-    protect_content: options.protect_content || false
-  };
-  
-  return await this._request('sendMediaGroup', data);
-}
-
-// Usage
+// Local paths, Buffers, URLs and file_ids can be mixed; > 10 items are split into several albums
 await bot.sendMediaGroup(null, [
-  {
-    type: 'photo',
-    media: './screenshot1.png',
-    caption: 'Page 1'
-  },
-  {
-    type: 'photo',
-    media: './screenshot2.png',
-    caption: 'Page 2'
-  }
-]);
+  { type: 'photo', media: './before.png', caption: 'Before' },
+  { type: 'photo', media: await page.screenshot() },
+  { type: 'video', media: './recording.mp4' },
+  'https://example.com/image.jpg'
+], {
+  caption: '<b>Profile #12</b> before/after'
+});
+
+// Documents are sent as their own album
+await bot.sendMediaGroup(null, ['./cookies.txt', './log.txt'], { type: 'document' });
 
 // Example 24: Schedule notification (requires external scheduler)
 async function scheduleReport(bot, cronTime) {
@@ -1200,39 +2885,33 @@ Today's Stats:
 // Run every day at 9 AM
 scheduleReport(bot, '0 9 * * *');
 
-// Example 25: Handle bot commands (webhook setup required)
-const express = require('express');
-const app = express();
-
-app.use(express.json());
-
-app.post('/webhook', async (req, res) => {
-  const update = req.body;
-  
-  if (update.message) {
-    const chatId = update.message.chat.id;
-    const text = update.message.text;
-    
-    if (text === '/start') {
-      await bot.sendMessage(chatId, 'Welcome! Bot is ready.');
-    } else if (text === '/status') {
-      await bot.sendMessage(chatId, 'Bot is running smoothly!');
-    } else if (text === '/help') {
-      await bot.sendMessage(chatId, `
+// Example 25: Handle bot commands via webhook
+bot.onCommand('/start', (message, ctx) => ctx.reply('Welcome! Bot is ready.'));
+bot.onCommand('/status', (message, ctx) => ctx.reply('Bot is running smoothly!'));
+bot.onCommand('/help', (message, ctx) => ctx.reply(`
 Available commands:
 /start - Start bot
 /status - Check status
 /report - Get latest report
 /help - Show this message
-      `);
-    }
-  }
-  
-  res.sendStatus(200);
-});
+`));
+
+// Built-in server (behind an HTTPS reverse proxy)
+await bot.setWebhook('https://example.com/telegram', { secret_token: 'my-secret' });
+await bot.startWebhook({ port: 3000, path: '/telegram' });
 
+// Or mount into your own server
+const express = require('express');
+const app = express();
+
+app.use(express.json());
+app.post('/webhook', bot.createWebhookHandler({ secretToken: 'my-secret' }));
 app.listen(3000);
 
+// Local test: POST a fake update
+// curl -X POST localhost:3000/telegram -H 'X-Telegram-Bot-Api-Secret-Token: my-secret' \
+//   -d '{"update_id":1,"message":{"chat":{"id":1},"text":"/status"}}'
+
 // Example 26: Formatting helpers
 const formatted = bot.formatHTML('Important Message', {
   bold: true,
@@ -1242,27 +2921,19 @@ const formatted = bot.formatHTML('Important Message', {
 await bot.sendMessage(null, formatted);
 
 // Example 27: Multi-chat broadcast
-async function broadcast(bot, chatIds, message) {
-  const results = [];
-  
-  for (const chatId of chatIds) {
-    try {
-      await bot.sendMessage(chatId, message);
-      results.push({ chatId, status: 'sent' });
-      
-      // Delay to avoid rate limits (30 messages per second)
-      await new Promise(r => setTimeout(r, 100));
-    } catch (error) {
-      results.push({ chatId, status: 'failed', error: error.message });
-    }
-  }
-  
-  return results;
-}
+const results = await bot.broadcast(['123456789', '-1001234567890'], '⚠️ System maintenance in 10 minutes');
+// { '123456789': { success: true, message_id: 42, ... }, '-1001234567890': { success: false, error: '...' } }
 
-// Usage
-const chatIds = ['123456789', '987654321', '555555555'];
-await broadcast(bot, chatIds, 'System maintenance in 10 minutes');
+// Media payload + persisted recipient list (blocked / not found chats are removed automatically)
+const alerts = new TelegramBot('YOUR_BOT_TOKEN', { recipientsFile: './data/alert-chats.json' });
+await alerts.addRecipients(['123456789', '987654321']);
+
+alerts.on('recipient_removed', (chatId) => console.log('Removed unreachable chat', chatId));
+
+await alerts.broadcast(null, {
+  photo: './error.png',
+  caption: '<b>Profile #12 failed</b>'
+});
 
 // Example 28: File size check before upload
 async function sendLargeFile(bot, chatId, filePath) {
@@ -1284,67 +2955,8 @@ const botInfo = await bot.getMe();
 console.log('Bot Username:', botInfo.username);
 console.log('Bot Name:', botInfo.first_name);
 
-// Example 30: Advanced error handling
-class TelegramNotifier {
-  constructor(bot) {
-    this.bot = bot;
-    this.errorCount = 0;
-    this.lastErrorTime = null;
-  }
-  
-  async notifyError(error, context = {}) {
-    this.errorCount++;
-    this.lastErrorTime = new Date();
-    
-    // Take screenshot if in browser context
-    let screenshotPath = null;
-    if (context.page) {
-      screenshotPath = `./error-${Date.now()}.png`;
-      await context.page.screenshot({ path: screenshotPath });
-    }
-    
-    // Send error details
-    await this.bot.sendHTML(null, `
-<b>🔴 Error #${this.errorCount}</b>
-━━━━━━━━━━━━━━━━━━
-
-<b>Message:</b>
-<code>${this.bot.escapeHTML(error.message)}</code>
-
-<b>Context:</b>
-${Object.entries(context).map(([k, v]) => `• ${k}: <code>${v}</code>`).join('\n')}
-
-<b>Time:</b> ${this.lastErrorTime.toISOString()}
-    `);
-    
-    // Send screenshot if available
-    if (screenshotPath) {
-      await this.bot.sendPhoto(null, screenshotPath, {
-        caption: '📸 Error Screenshot'
-      });
-    }
-    
-    // Send stack trace as document
-    const stackFile = Buffer.from(error.stack);
-    await this.bot.sendDocument(null, stackFile, {
-      filename: `error-stack-${Date.now()}.txt`,
-      caption: 'Stack Trace'
-    });
-  }
-  
-  async notifySuccess(message, data = {}) {
-    await this.bot.sendHTML(null, `
-<b>✅ Success</b>
-
-${message}
-
-${Object.entries(data).map(([k, v]) => `• ${k}: <code>${v}</code>`).join('\n')}
-    `);
-  }
-}
-
-// Usage
-const notifier = new TelegramNotifier(bot);
+// Example 30: Advanced error handling (src/telegram/telegram-notifier.js)
+const notifier = new telegram.TelegramNotifier(bot, { chatId: 'YOUR_CHAT_ID' });
 
 try {
   await automationTask();
@@ -1353,10 +2965,137 @@ try {
     items: 500
   });
 } catch (error) {
+  // page: screenshot is attached, stack trace is sent as a document
+  // tracking: TrackingHttp network log is attached as a .har file
   await notifier.notifyError(error, {
+    page,
+    tracking,
     task: 'automationTask',
     url: 'https://example.com',
     user: 'admin'
   });
 }
+
+// Or wrap the task
+await notifier.run('Scrape Products', () => scrapeProducts(), { page });
+
+// Example 31: Control automation jobs from chat (long polling)
+bot.onCommand('/status', async (message, ctx) => {
+  await ctx.reply(`<b>Running jobs:</b> <code>${jobs.size}</code>`);
+});
+
+bot.onCommand('/stop', async (message, ctx) => {
+  // ctx.args: ['profile-1'] for "/stop profile-1"
+  await stopJob(ctx.args[0]);
+  await ctx.reply('Stopped');
+});
+
+bot.onCallbackQuery('restart', async (query, ctx) => {
+  // Answer first: if not called within callbackAnswerDelay (1s), the query is answered automatically
+  await ctx.answer('Restarting...');
+  await restartJob();
+});
+
+bot.onCallbackQuery(/^profile:(.+)$/, async (query, ctx) => {
+  await ctx.reply(`Selected: ${ctx.data}`);
+});
+
+bot.onMessage(async (message, ctx) => {
+  console.log('Message from', ctx.chatId, message.text);
+});
+
+bot.on('polling_error', (error) => console.error('Polling error:', error.message));
+
+await bot.startPolling({ dropPendingUpdates: true });
+// ...
+await bot.stopPolling();
+
+// Example 32: Send queue & rate limits
+const bot = new TelegramBot('YOUR_BOT_TOKEN', {
+  globalRateLimit: 30,   // messages per second (all chats)
+  perChatInterval: 1000, // ms between messages in one private chat
+  maxQueueSize: 1000     // further sends are rejected with 'queue_drop'
+});
+
+bot.on('queue_size', (size) => console.log('Pending Telegram requests:', size));
+bot.on('queue_drop', ({ chatId, method, error }) => console.warn('Dropped', method, chatId, error.message));
+bot.on('rate_limited', ({ retryAfter }) => console.warn(`429 - waiting ${retryAfter}s`));
+
+// 50 profiles failing at once: requests are spaced out instead of flooding the API
+await Promise.all(profiles.map(p => bot.sendMessage(null, `❌ ${p.name} failed`)));
+
+// Non-retryable API errors (400, 403) are thrown immediately with details
+try {
+  await bot.sendMessage('bad_chat', 'Hello');
+} catch (error) {
+  console.log(error.errorCode, error.description); // 400 'Bad Request: chat not found'
+}
+
+// Example 33: Long messages and captions
+// Text > 4096 chars is split at line boundaries, open tags are closed/re-opened per chunk
+const messages = await bot.sendHTML(null, `<b>Scraped table</b>\n<pre>${bot.escapeHTML(tableText)}</pre>`, {
+  split: true
+});
+console.log(messages.map(m => m.message_id));
+
+// Caption > 1024 chars: photo is sent without caption, caption follows as a reply
+await bot.sendPhoto(null, './error.png', {
+  caption: `<pre>${bot.escapeHTML(error.stack)}</pre>`,
+  split: true
+});
+
+// Or enable for every call: only texts over 4096 chars are split (and return an array)
+const bot = new TelegramBot('YOUR_BOT_TOKEN', { splitLongMessages: true });
+
+// Example 34: Ask an operator for input during automation
+await bot.startPolling();
+
+const otp = await bot.ask(null, `🔐 Enter OTP for <b>${account.email}</b>`, {
+  timeout: 3 * 60 * 1000,
+  validate: (answer) => /^\d{6}$/.test(answer) || 'OTP must be 6 digits'
+});
+await selector.type('#otp', otp);
+
+const action = await bot.ask(null, 'Captcha failed 3 times. What now?', {
+  keyboard: [
+    [{ text: '🔄 Retry', value: 'retry' }, { text: '⏭ Skip', value: 'skip' }]
+  ]
+});
+
+// Operator can reply /cancel; the promise rejects on cancel or timeout
+
+// Example 35: Download files uploaded by operators
+bot.onMessage(async (message, ctx) => {
+  if (!message.document) return;
+
+  if (message.document.file_name === 'proxies.txt') {
+    const proxies = (await bot.downloadDocumentText(message)).split('\n').filter(Boolean);
+    jobQueue.setProxies(proxies);
+    await ctx.reply(`Loaded ${proxies.length} proxies`);
+  } else {
+    // Saved with the original file name
+    const { path: savedPath } = await bot.downloadMessageFile(message, './uploads', { maxSize: 5 * 1024 * 1024 });
+    await ctx.reply(`Saved: ${savedPath}`);
+  }
+});
+
+// Ask for a cookie file
+const reply = await bot.ask(null, 'Send cookies.txt for profile #12', { raw: true });
+await bot.downloadMessageFile(reply.message, './profiles/12/cookies.txt');
+
+// By file_id: to disk, to a stream, or into a Buffer
+await bot.downloadFile(fileId, './file.bin', { timeout: 60000 });
+await bot.downloadFile(fileId, fs.createWriteStream('./file.bin'));
+const buffer = await bot.downloadFile(fileId);
+
+// Example 36: Self-hosted Bot API server (uploads up to 2GB) or a local stub in tests
+const bot = new TelegramBot('YOUR_BOT_TOKEN', {
+  apiRoot: 'http://localhost:8081'
+});
+
+// Test: answer Bot API calls with a plain http server
+const server = http.createServer((req, res) => {
+  res.end(JSON.stringify({ ok: true, result: { message_id: 1 } }));
+}).listen(0);
+const testBot = new TelegramBot('TEST_TOKEN', { apiRoot: `http://127.0.0.1:${server.address().port}` });
 */
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * TelegramNotifier
+ * Error / success reports for automation jobs
+ * Error report = message + page screenshot + stack trace as document
+ *
+ * @author HD Software
+ */
+
+class TelegramNotifier {
+    /**
+     * @param {TelegramBot} bot - TelegramBot instance
+     * @param {object} options - { chatId, screenshot, stackTrace, fullPage, harBodies }
+     */
+    constructor(bot, options = {}) {
+        if (!bot) {
+            throw new Error('TelegramBot instance is required');
+        }
+
+        this.bot = bot;
+        this.config = {
+            chatId: options.chatId || null,
+            screenshot: options.screenshot !== false,
+            stackTrace: options.stackTrace !== false,
+            fullPage: options.fullPage || false,
+            harBodies: options.harBodies || false, // kèm response body trong file HAR
+            ...options
+        };
+
+        this.errorCount = 0;
+        this.lastErrorTime = null;
+    }
+
+    /**
+     * Send error report
+     * @param {Error} error
+     * @param {object} context - Thông tin thêm
+     *   - context.page: Puppeteer page, dùng để chụp screenshot
+     *   - context.tracking: TrackingHttp, network log được gửi kèm dạng file HAR
+     */
+    async notifyError(error, context = {}) {
+        this.errorCount++;
+        this.lastErrorTime = new Date();
+
+        const { page, tracking, ...fields } = context;
+        const message = error && error.message ? error.message : String(error);
+
+        // Chụp screenshot trước khi gửi để trạng thái page không bị thay đổi
+        let screenshot = null;
+        if (page && this.config.screenshot) {
+            try {
+                screenshot = await page.screenshot({ fullPage: this.config.fullPage });
+            } catch (_) {
+                // Page đã đóng / crash - vẫn gửi report
+            }
+        }
+
+        await this.bot.sendHTML(this.config.chatId, [
+            `<b>🔴 Error #${this.errorCount}</b>`,
+            '━━━━━━━━━━━━━━━━━━',
+            '',
+            '<b>Message:</b>',
+            `<code>${this.bot.escapeHTML(message)}</code>`,
+            '',
+            ...this._formatFields('Context', fields),
+            `<b>Time:</b> ${this.lastErrorTime.toISOString()}`
+        ].join('\n'));
+
+        if (screenshot) {
+            await this.bot.sendPhoto(this.config.chatId, Buffer.from(screenshot), {
+                caption: '📸 Error Screenshot'
+            });
+        }
+
+        if (this.config.stackTrace && error && error.stack) {
+            await this.bot.sendDocument(this.config.chatId, Buffer.from(error.stack), {
+                filename: `error-stack-${Date.now()}.txt`,
+                caption: 'Stack Trace'
+            });
+        }
+
+        if (tracking) {
+            try {
+                const har = await tracking.toHAR({ includeBodies: this.config.harBodies });
+                await this.bot.sendDocument(this.config.chatId, Buffer.from(JSON.stringify(har)), {
+                    filename: `network-${Date.now()}.har`,
+                    caption: `🌐 Network log (${har.log.entries.length} requests)`
+                });
+            } catch (_) {
+                // Không để lỗi export HAR làm mất error report
+            }
+        }
+
+        return { errorCount: this.errorCount, time: this.lastErrorTime };
+    }
+
+    /**
+     * Send success report
+     * @param {string} message
+     * @param {object} data - Key/value hiển thị dạng list
+     */
+    async notifySuccess(message, data = {}) {
+        return await this.bot.sendHTML(this.config.chatId, [
+            '<b>✅ Success</b>',
+            '',
+            this.bot.escapeHTML(message),
+            '',
+            ...this._formatFields(null, data)
+        ].join('\n'));
+    }
+
+    /**
+     * Wrap a task: report success or error automatically
+     * @param {string} taskName
+     * @param {function} fn - async task
+     * @param {object} context - Gửi kèm khi lỗi (có thể chứa page)
+     */
+    async run(taskName, fn, context = {}) {
+        const startTime = Date.now();
+
+        try {
+            const result = await fn();
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+            await this.notifySuccess(`Completed: ${taskName}`, { duration: `${duration}s` });
+            return result;
+        } catch (error) {
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+            await this.notifyError(error, { task: taskName, duration: `${duration}s`, ...context });
+            throw error;
+        }
+    }
+
+    /**
+     * Reset error counter
+     */
+    reset() {
+        this.errorCount = 0;
+        this.lastErrorTime = null;
+    }
+
+    /**
+     * Format key/value list
+     * @private
+     */
+    _formatFields(title, fields) {
+        const entries = Object.entries(fields);
+        if (entries.length === 0) return [];
+
+        const lines = entries.map(([key, value]) => {
+            const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+            return `• ${this.bot.escapeHTML(key)}: <code>${this.bot.escapeHTML(text)}</code>`;
+        });
+
+        return title ? [`<b>${title}:</b>`, ...lines, ''] : [...lines, ''];
+    }
+}
+
+module.exports = TelegramNotifier;
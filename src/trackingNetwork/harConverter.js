@@ -0,0 +1,212 @@
+// Chuyển đổi giữa entry của TrackingHttp và HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/)
+
+const CREATOR = { name: '@hd-software/tool-helper', version: '1.0.0' };
+
+const toNameValue = (obj) => Object.entries(obj || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+const fromNameValue = (list) => (list || []).reduce((acc, { name, value }) => {
+    acc[name.toLowerCase()] = value;
+    return acc;
+}, {});
+
+const headerValue = (headers, name) => {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : null;
+};
+
+function queryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (_) {
+        return [];
+    }
+}
+
+// CDP Network.ResourceTiming (ms, tương đối với requestTime) -> HAR timings
+function buildTimings(entry) {
+    const total = entry.duration !== null ? entry.duration : 0;
+    const t = entry.timing;
+
+    if (!t) {
+        const wait = entry.responseTime ? entry.responseTime - entry.startTime : total;
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(wait, 0), receive: Math.max(total - wait, 0) };
+    }
+
+    const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0);
+    const blocked = firstStart !== undefined ? firstStart : -1;
+    const dns = t.dnsStart >= 0 ? t.dnsEnd - t.dnsStart : -1;
+    const connect = t.connectStart >= 0 ? t.connectEnd - t.connectStart : -1;
+    const ssl = t.sslStart >= 0 ? t.sslEnd - t.sslStart : -1;
+    const send = Math.max(t.sendEnd - t.sendStart, 0);
+    const wait = Math.max(t.receiveHeadersEnd - t.sendEnd, 0);
+    const receive = Math.max(total - t.receiveHeadersEnd, 0);
+
+    return { blocked, dns, connect, ssl, send, wait, receive };
+}
+
+// content: { text, encoding, size } (optional)
+function entryToHar(entry, pageref, content = null) {
+    const requestHeaders = entry.requestHeaders || {};
+    const responseHeaders = entry.responseHeaders || {};
+    const timings = buildTimings(entry);
+    // ssl đã nằm trong connect theo spec HAR
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+        .reduce((sum, key) => sum + (timings[key] > 0 ? timings[key] : 0), 0);
+
+    const request = {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: entry.protocol || 'HTTP/1.1',
+        cookies: [],
+        headers: toNameValue(requestHeaders),
+        queryString: queryString(entry.url),
+        headersSize: -1,
+        bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+    };
+
+    if (entry.postData) {
+        request.postData = {
+            mimeType: headerValue(requestHeaders, 'content-type') || 'application/octet-stream',
+            text: entry.postData
+        };
+    }
+
+    const mimeType = headerValue(responseHeaders, 'content-type') || '';
+    const harContent = { size: content ? content.size : -1, mimeType };
+    if (content && content.text !== undefined) {
+        harContent.text = content.text;
+        if (content.encoding) harContent.encoding = content.encoding;
+    }
+
+    const har = {
+        pageref,
+        startedDateTime: new Date(entry.startTime).toISOString(),
+        time,
+        request,
+        response: {
+            status: entry.status || 0,
+            statusText: entry.statusText || '',
+            httpVersion: entry.protocol || 'HTTP/1.1',
+            cookies: [],
+            headers: toNameValue(responseHeaders),
+            content: harContent,
+            redirectURL: headerValue(responseHeaders, 'location') || '',
+            headersSize: -1,
+            bodySize: content ? content.size : -1
+        },
+        cache: {},
+        timings,
+        _resourceType: entry.resourceType
+    };
+
+    if (entry.remoteAddress && entry.remoteAddress.ip) har.serverIPAddress = entry.remoteAddress.ip;
+    if (entry.failure) har._failure = entry.failure;
+    if (entry.targetId) har._targetId = entry.targetId;
+    if (entry.transferSize !== undefined) har.response._transferSize = entry.transferSize;
+
+    return har;
+}
+
+// Định dạng message giống HAR export của Chrome DevTools (time tính bằng giây)
+function socketMessagesToHar(socket) {
+    return socket.messages.map(m => ({
+        type: m.direction === 'sent' ? 'send' : 'receive',
+        time: m.timestamp / 1000,
+        opcode: m.opcode,
+        data: m.data
+    }));
+}
+
+function eventSourceMessagesToHar(socket) {
+    return socket.messages.map(m => ({
+        time: m.timestamp / 1000,
+        eventName: m.eventName,
+        eventId: m.eventId,
+        data: m.data
+    }));
+}
+
+// Socket record của TrackingHttp (WebSocket / EventSource) -> HAR entry
+function socketToHar(socket, pageref) {
+    const har = entryToHar({
+        ...socket,
+        status: socket.status || (socket.type === 'websocket' ? 101 : 0),
+        duration: (socket.endTime || Date.now()) - socket.startTime
+    }, pageref);
+
+    if (socket.type === 'websocket') har._webSocketMessages = socketMessagesToHar(socket);
+    else har._eventSourceMessages = eventSourceMessagesToHar(socket);
+    if (socket.error) har._failure = socket.error;
+
+    return har;
+}
+
+// pages: [{ id, title, startedDateTime }]
+function buildHar(harEntries, pages) {
+    return {
+        log: {
+            version: '1.2',
+            creator: CREATOR,
+            pages: pages.map(p => ({ ...p, pageTimings: p.pageTimings || {} })),
+            entries: harEntries
+        }
+    };
+}
+
+// HAR entry -> entry dạng TrackingHttp (body: string | Buffer) dùng cho replay / mock
+function harToEntry(har, id) {
+    const startTime = new Date(har.startedDateTime).getTime();
+    const content = har.response && har.response.content ? har.response.content : {};
+    let body = null;
+
+    if (content.text !== undefined) {
+        body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : content.text;
+    }
+
+    const entry = {
+        id,
+        url: har.request.url,
+        method: String(har.request.method).toUpperCase(),
+        resourceType: har._resourceType || null,
+        requestHeaders: fromNameValue(har.request.headers),
+        postData: har.request.postData ? har.request.postData.text : null,
+        status: har.response.status,
+        statusText: har.response.statusText,
+        responseHeaders: fromNameValue(har.response.headers),
+        mimeType: content.mimeType || null,
+        body,
+        failure: har._failure || null,
+        state: har._failure ? 'failed' : 'finished',
+        startTime,
+        duration: har.time,
+        endTime: startTime + (har.time || 0)
+    };
+
+    // WebSocket / EventSource messages -> cùng dạng message của TrackingHttp
+    if (har._webSocketMessages) {
+        entry.messages = har._webSocketMessages.map(m => ({
+            direction: m.type === 'send' ? 'sent' : 'received',
+            opcode: m.opcode,
+            data: m.data,
+            timestamp: Math.round(m.time * 1000)
+        }));
+    } else if (har._eventSourceMessages) {
+        entry.messages = har._eventSourceMessages.map(m => ({
+            direction: 'received',
+            data: m.data,
+            eventName: m.eventName,
+            eventId: m.eventId,
+            timestamp: Math.round(m.time * 1000)
+        }));
+    }
+
+    return entry;
+}
+
+module.exports = {
+    entryToHar,
+    harToEntry,
+    buildHar,
+    socketToHar,
+    eventSourceMessagesToHar
+};
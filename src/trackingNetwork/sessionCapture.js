@@ -0,0 +1,339 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Lưu / khôi phục phiên đăng nhập: cookie jar + localStorage / sessionStorage theo origin
+// Định dạng JSON giống storageState của Playwright: { cookies: [...], origins: [{ origin, localStorage, sessionStorage }] }
+class SessionCapture extends EventEmitter {
+    // tracking: TrackingHttp (optional) - ghi lại Set-Cookie ngay khi response về
+    // (header của Puppeteer + Network.responseReceivedExtraInfo, nơi Set-Cookie luôn có)
+    constructor(tracking = null, config = {}) {
+        super();
+        this.config = {
+            debug: false,
+            ...config
+        };
+        this.tracking = null;
+        this.cookies = new Map(); // `${domain}|${path}|${name}` -> cookie
+        this._onResponse = (entry) => this._captureSetCookie(entry);
+        this._onExtraInfo = (info) => {
+            if (info.url) this._captureSetCookie({ url: info.url, responseHeaders: info.headers }, info.blockedCookies);
+        };
+        if (tracking) this.attach(tracking);
+    }
+
+    attach(tracking) {
+        this.detach();
+        this.tracking = tracking;
+        tracking.on('http:response', this._onResponse);
+        tracking.on('http:responseExtraInfo', this._onExtraInfo);
+    }
+
+    detach() {
+        if (!this.tracking) return;
+        this.tracking.removeListener('http:response', this._onResponse);
+        this.tracking.removeListener('http:responseExtraInfo', this._onExtraInfo);
+        this.tracking = null;
+    }
+
+    // Cookie đã ghi từ Set-Cookie (bỏ cookie đã hết hạn); domain: chỉ lấy cookie gửi được tới host này
+    getCookies(domain = null) {
+        const now = Date.now() / 1000;
+        for (const [key, cookie] of this.cookies) {
+            if (cookie.expires > 0 && cookie.expires <= now) this.cookies.delete(key);
+        }
+
+        const cookies = Array.from(this.cookies.values());
+        if (!domain) return cookies;
+        const host = domain.replace(/^\./, '').toLowerCase();
+        return cookies.filter(c => {
+            const cookieDomain = c.domain.replace(/^\./, '');
+            return host === cookieDomain || (c.domain.startsWith('.') && host.endsWith(`.${cookieDomain}`));
+        });
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+
+    // Toàn bộ cookie jar của browser + storage. options: { origins } (mặc định: origin của các frame trong page)
+    // Có page thì cookie jar của browser là chuẩn: cookie site đã xoá (logout, document.cookie) không quay lại.
+    // Không có page -> cookie đã ghi từ Set-Cookie
+    async capture(page, options = {}) {
+        const state = { cookies: [], origins: [] };
+        if (!page) {
+            state.cookies = this.getCookies();
+            return state;
+        }
+
+        const client = await page.createCDPSession();
+        try {
+            state.cookies = await this._getBrowserCookies(client);
+
+            const origins = options.origins || this._frameOrigins(page);
+            for (const origin of origins) {
+                state.origins.push({ origin, ...(await this._getStorage(page, client, origin)) });
+            }
+        } finally {
+            await client.detach().catch(() => {});
+        }
+
+        return state;
+    }
+
+    // options: { origins, format: 'json' | 'netscape' }
+    async export(page, options = {}) {
+        const state = await this.capture(page, options);
+        if (options.format === 'netscape') return SessionCapture.toNetscape(state.cookies);
+        return JSON.stringify(state, null, 2);
+    }
+
+    // File .txt -> Netscape cookies.txt (chỉ cookie), còn lại JSON
+    async save(filePath, page, options = {}) {
+        const format = options.format || (path.extname(filePath).toLowerCase() === '.txt' ? 'netscape' : 'json');
+        const content = await this.export(page, { ...options, format });
+        await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.promises.writeFile(filePath, content);
+        if (this.config.debug) console.log(`[SessionCapture] saved: ${filePath}`);
+        return filePath;
+    }
+
+    // Nạp lại session vào page mới. source: path | state object | chuỗi JSON / cookies.txt
+    // Storage được ghi mỗi khi page mở đúng origin (evaluateOnNewDocument) -> gọi trước page.goto,
+    // bỏ script bằng page.removeScriptToEvaluateOnNewDocument(result.scriptId) khi không cần nữa
+    async restore(page, source) {
+        const state = await this._readState(source);
+        const cookies = state.cookies || [];
+        const origins = state.origins || [];
+
+        if (cookies.length > 0) {
+            const client = await page.createCDPSession();
+            try {
+                await client.send('Network.setCookies', { cookies: cookies.map(toCDPCookie) });
+            } finally {
+                await client.detach().catch(() => {});
+            }
+        }
+
+        let scriptId = null;
+        if (origins.length > 0) {
+            const script = await page.evaluateOnNewDocument(applyStorage, origins);
+            scriptId = script ? script.identifier : null;
+            try { await page.evaluate(applyStorage, origins); } catch (_) { /* about:blank / page đang load */ }
+        }
+
+        if (this.config.debug) console.log(`[SessionCapture] restored: ${cookies.length} cookies, ${origins.length} origins`);
+        return { cookies: cookies.length, origins: origins.length, scriptId };
+    }
+
+    // ==================== NETSCAPE cookies.txt ====================
+
+    static toNetscape(cookies) {
+        const lines = ['# Netscape HTTP Cookie File', ''];
+        for (const c of cookies) {
+            const domain = c.httpOnly ? `#HttpOnly_${c.domain}` : c.domain;
+            const expires = c.expires > 0 ? Math.floor(c.expires) : 0;
+            lines.push([domain, c.domain.startsWith('.') ? 'TRUE' : 'FALSE', c.path || '/', c.secure ? 'TRUE' : 'FALSE', expires, c.name, c.value].join('\t'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static parseNetscape(text) {
+        const cookies = [];
+        for (const raw of text.split(/\r?\n/)) {
+            let line = raw.trim();
+            let httpOnly = false;
+            if (line.startsWith('#HttpOnly_')) {
+                httpOnly = true;
+                line = line.slice('#HttpOnly_'.length);
+            } else if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const parts = line.split('\t');
+            if (parts.length < 7) continue;
+            const [domain, , cookiePath, secure, expires, name, ...value] = parts;
+            cookies.push({
+                name,
+                value: value.join('\t'),
+                domain,
+                path: cookiePath,
+                expires: Number(expires) > 0 ? Number(expires) : -1,
+                httpOnly,
+                secure: secure === 'TRUE',
+                sameSite: 'Lax'
+            });
+        }
+        return cookies;
+    }
+
+    // ==================== INTERNAL ====================
+
+    // Puppeteer / CDP gộp nhiều Set-Cookie bằng '\n'; blocked: dòng Set-Cookie browser đã từ chối (ExtraInfo)
+    _captureSetCookie(entry, blocked = []) {
+        const headers = entry.responseHeaders || {};
+        const header = headers['set-cookie'] || headers['Set-Cookie'];
+        if (!header) return;
+
+        for (const line of String(header).split('\n')) {
+            if (blocked.includes(line)) continue;
+            const cookie = this._parseSetCookie(line, entry.url);
+            if (!cookie || !cookie.domain) continue;
+
+            // Max-Age=0 / Expires trong quá khứ = site xoá cookie
+            const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+            if (cookie.expires !== -1 && cookie.expires * 1000 <= Date.now()) {
+                if (this.cookies.delete(key)) this.emit('cookie:deleted', { ...cookie, url: entry.url });
+                continue;
+            }
+
+            // Cùng response đến qua cả http:response và ExtraInfo -> chỉ emit một lần
+            const previous = this.cookies.get(key);
+            if (previous && previous.value === cookie.value && Math.abs(previous.expires - cookie.expires) <= 1) continue;
+
+            this.cookies.set(key, cookie);
+            this.emit('cookie:set', { ...cookie, url: entry.url });
+        }
+    }
+
+    _parseSetCookie(line, url) {
+        const [pair, ...attributes] = line.split(';');
+        const index = pair.indexOf('=');
+        if (index <= 0) return null;
+
+        let host = '';
+        let defaultPath = '/';
+        try {
+            const u = new URL(url);
+            host = u.hostname;
+            defaultPath = u.pathname.lastIndexOf('/') > 0 ? u.pathname.slice(0, u.pathname.lastIndexOf('/')) : '/';
+        } catch (_) { /* url không hợp lệ */ }
+
+        const cookie = {
+            name: pair.slice(0, index).trim(),
+            value: pair.slice(index + 1).trim(),
+            domain: host,
+            path: defaultPath,
+            expires: -1,
+            httpOnly: false,
+            secure: false,
+            sameSite: 'Lax'
+        };
+
+        let maxAge = null;
+        for (const attribute of attributes) {
+            const [rawKey, ...rest] = attribute.split('=');
+            const key = rawKey.trim().toLowerCase();
+            const value = rest.join('=').trim();
+
+            if (key === 'domain' && value) cookie.domain = `.${value.replace(/^\./, '').toLowerCase()}`;
+            else if (key === 'path' && value.startsWith('/')) cookie.path = value;
+            else if (key === 'expires') {
+                const time = Date.parse(value);
+                if (!isNaN(time)) cookie.expires = Math.floor(time / 1000);
+            } else if (key === 'max-age') maxAge = parseInt(value, 10);
+            else if (key === 'secure') cookie.secure = true;
+            else if (key === 'httponly') cookie.httpOnly = true;
+            else if (key === 'samesite' && value) cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+        }
+
+        // Max-Age ưu tiên hơn Expires (RFC 6265)
+        if (maxAge !== null && !isNaN(maxAge)) cookie.expires = maxAge <= 0 ? 0 : Math.floor(Date.now() / 1000) + maxAge;
+
+        return cookie;
+    }
+
+    async _getBrowserCookies(client) {
+        let result;
+        try {
+            result = await client.send('Storage.getCookies');
+        } catch (_) {
+            result = await client.send('Network.getAllCookies');
+        }
+        return result.cookies.map(c => ({
+            name: c.name,
+            value: c.value,
+            domain: c.domain,
+            path: c.path,
+            expires: c.expires,
+            httpOnly: c.httpOnly,
+            secure: c.secure,
+            sameSite: c.sameSite || 'Lax'
+        }));
+    }
+
+    _frameOrigins(page) {
+        const origins = new Set();
+        for (const frame of page.frames()) {
+            try {
+                const { origin, protocol } = new URL(frame.url());
+                if (protocol === 'http:' || protocol === 'https:') origins.add(origin);
+            } catch (_) { /* about:blank */ }
+        }
+        return Array.from(origins);
+    }
+
+    // Frame đang mở origin -> đọc trực tiếp; không có -> DOMStorage qua CDP (chỉ localStorage)
+    async _getStorage(page, client, origin) {
+        const frame = page.frames().find(f => {
+            try { return new URL(f.url()).origin === origin; } catch (_) { return false; }
+        });
+
+        if (frame) {
+            try {
+                return await frame.evaluate(() => {
+                    const read = (storage) => Object.keys(storage).map(name => ({ name, value: storage.getItem(name) }));
+                    return { localStorage: read(window.localStorage), sessionStorage: read(window.sessionStorage) };
+                });
+            } catch (_) { /* frame đã navigate */ }
+        }
+
+        try {
+            await client.send('DOMStorage.enable');
+            const { entries } = await client.send('DOMStorage.getDOMStorageItems', {
+                storageId: { securityOrigin: origin, isLocalStorage: true }
+            });
+            return { localStorage: entries.map(([name, value]) => ({ name, value })), sessionStorage: [] };
+        } catch (_) {
+            return { localStorage: [], sessionStorage: [] };
+        }
+    }
+
+    async _readState(source) {
+        if (source && typeof source === 'object') return source;
+
+        let text = String(source);
+        if (!/^\s*[{#]/.test(text) && !text.includes('\t')) text = await fs.promises.readFile(text, 'utf8');
+
+        if (text.trim().startsWith('{')) return JSON.parse(text);
+        return { cookies: SessionCapture.parseNetscape(text), origins: [] };
+    }
+}
+
+// Chạy trong browser (evaluateOnNewDocument / evaluate)
+function applyStorage(origins) {
+    const state = origins.find(o => o.origin === window.location.origin);
+    if (!state) return;
+    try {
+        for (const { name, value } of state.localStorage || []) window.localStorage.setItem(name, value);
+        for (const { name, value } of state.sessionStorage || []) window.sessionStorage.setItem(name, value);
+    } catch (_) { /* storage bị chặn (sandbox iframe) */ }
+}
+
+// Network.CookieParam: host-only cookie (domain không có '.') đặt qua url, bỏ expires của session cookie
+function toCDPCookie(c) {
+    const param = {
+        name: c.name,
+        value: c.value,
+        path: c.path || '/',
+        httpOnly: !!c.httpOnly,
+        secure: !!c.secure
+    };
+    if (c.domain.startsWith('.')) param.domain = c.domain;
+    else param.url = `${c.secure ? 'https' : 'http'}://${c.domain}${param.path}`;
+    if (c.expires > 0) param.expires = c.expires;
+    if (c.sameSite && ['Strict', 'Lax', 'None'].includes(c.sameSite)) param.sameSite = c.sameSite;
+    return param;
+}
+
+module.exports = SessionCapture;
@@ -1,58 +1,1173 @@
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { entryToHar, harToEntry, buildHar, socketToHar, eventSourceMessagesToHar } = require('./harConverter');
+
+const TEXT_MIME_REGEX = /json|text|xml|javascript|ecmascript|x-www-form-urlencoded|svg/i;
+
+// Network.emulateNetworkConditions presets (throughput: bytes/s, giống DevTools)
+const NETWORK_PRESETS = {
+    'no-throttling': { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 },
+    'offline': { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+    'slow-3g': { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+    '3g': { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+    '4g': { offline: false, latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750 }
+};
 
 class TrackingHttp extends EventEmitter {
     constructor(config = {}) {
         super();
-        this.config = { timeout: 30000, debug: false, ...config };
+        this.config = {
+            timeout: 30000,
+            debug: false,
+            maxEntries: 1000, // giới hạn số request lưu trong bộ nhớ
+            captureBody: false, // true | matcher: đọc body ngay khi request xong (body bị giải phóng sau navigation)
+            trackSockets: true, // WebSocket frames + EventSource messages qua CDP session
+            maxMessages: 1000, // giới hạn số message lưu cho mỗi socket
+            byteBudget: null, // bytes, vượt ngưỡng -> event 'bandwidth:budget'
+            ...config
+        };
         this.page = null;
+        this.browser = null;
         this.isEnabled = false;
+
+        this.entries = [];
+        this.harEntries = [];
+        this._entryByRequest = new WeakMap();
+        this._responses = new WeakMap();
+        this._nextId = 1;
+
+        // Target (hoặc Page khi không có target) -> { targetId, page, target, listeners, cdp, cdpListeners, ... }
+        this._targets = new Map();
+        // CDP requestId của request trong OOPIF -> { targetId, url } của iframe (page event không cho biết target)
+        this._frameRequests = new Map();
+        this._browserListeners = null;
+
+        this.routes = [];
+        this._nextRouteId = 1;
+        this._interceptionEnabled = false;
+
+        this.sockets = [];
+        this._socketByRequestId = new Map();
+        this._cdpRequests = new Map();
+
+        this.networkConditions = null;
+        this.resetBandwidth();
     }
 
     async enable(page) {
         if (this.isEnabled) throw new Error('TrackingHttp đã được enable');
-        this.page = page;
         this.isEnabled = true;
+        this._interceptionEnabled = this.routes.length > 0;
+        await this._attachPage(page);
         if (this.config.debug) console.log('[TrackingHttp] enabled');
     }
 
+    // Theo dõi cả browser: page hiện có + page / popup / service worker / OOPIF mở sau (targetcreated)
+    // Mỗi entry có targetId để phân biệt tab, popup OAuth, worker...
+    async enableBrowser(browser) {
+        if (this.isEnabled) throw new Error('TrackingHttp đã được enable');
+        this.browser = browser;
+        this.isEnabled = true;
+        this._interceptionEnabled = this.routes.length > 0;
+
+        this._browserListeners = {
+            targetcreated: (target) => this._attachTarget(target),
+            targetdestroyed: (target) => {
+                const record = this._targets.get(target);
+                if (record) this._detachTarget(record);
+            }
+        };
+        for (const [event, handler] of Object.entries(this._browserListeners)) browser.on(event, handler);
+
+        for (const target of browser.targets()) await this._attachTarget(target);
+        if (this.config.debug) console.log(`[TrackingHttp] enabled (browser, ${this._targets.size} targets)`);
+    }
+
     async disable() {
         if (!this.isEnabled) return;
-        this.page = null;
         this.isEnabled = false;
+
+        if (this.browser && this._browserListeners) {
+            for (const [event, handler] of Object.entries(this._browserListeners)) this.browser.off(event, handler);
+        }
+        for (const record of Array.from(this._targets.values())) await this._detachTarget(record);
+
+        this._interceptionEnabled = false;
+        this._browserListeners = null;
+        this.browser = null;
+        this.page = null;
         if (this.config.debug) console.log('[TrackingHttp] disabled');
     }
 
+    // Target đang theo dõi: [{ targetId, type, url }]
+    getTargets() {
+        return Array.from(this._targets.values()).map(record => ({
+            targetId: record.targetId,
+            type: record.type,
+            url: this._pageUrlOf(record)
+        }));
+    }
+
+    // Recorded requests, optional filter: string | RegExp | function(url, entry) | { url, method, status, resourceType }
+    getRequests(filter = null) {
+        if (!filter) return this.entries.slice();
+        return this.entries.filter(entry => this._matchEntry(filter, entry));
+    }
+
+    // Xoá log đã ghi
+    clear() {
+        this.entries = [];
+        this.sockets = [];
+        // Socket còn mở vẫn tiếp tục nhận message (giống request đang pending)
+        for (const [requestId, socket] of this._socketByRequestId) {
+            if (socket.state === 'closed') this._socketByRequestId.delete(requestId);
+        }
+    }
+
+    // Body của entry (lazy): JSON nếu parse được, ngược lại text
+    async getBody(entry) {
+        if (entry.body !== undefined) return entry.body;
+        const res = this._responses.get(entry);
+        if (!res) return null;
+        try { return await res.json(); } catch (_) { try { return await res.text(); } catch (_) { return null; } }
+    }
+
+    // HAR 1.2 object; options: { filter, includeBodies, title }
+    async toHAR(options = {}) {
+        const entries = this.getRequests(options.filter || null);
+        const sockets = this.getWebSockets(options.filter || null);
+        const pages = this._harPages(entries.concat(sockets), options.title);
+        const pageref = (item) => pages.get(item.targetId || null).id;
+        const harEntries = [];
+
+        for (const entry of entries) {
+            const content = options.includeBodies ? await this._getBodyContent(entry) : null;
+            const har = entryToHar(entry, pageref(entry), content);
+            // EventSource: message gắn vào chính HTTP entry của stream
+            const socket = entry.requestId ? this._findSocket(entry.targetId, entry.requestId) : null;
+            if (socket && socket.type === 'eventsource') har._eventSourceMessages = eventSourceMessagesToHar(socket);
+            harEntries.push(har);
+        }
+
+        // WebSocket handshake không đi qua page 'request' -> thêm entry riêng (_webSocketMessages như Chrome DevTools)
+        const linked = new Set(entries.filter(entry => entry.requestId).map(entry => `${entry.targetId}:${entry.requestId}`));
+        for (const socket of sockets) {
+            if (socket.type === 'eventsource' && linked.has(`${socket.targetId}:${socket.requestId}`)) continue;
+            harEntries.push(socketToHar(socket, pageref(socket)));
+        }
+        harEntries.sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+        return buildHar(harEntries, Array.from(pages.values()));
+    }
+
+    // Một HAR page cho mỗi target (tab / popup / worker); không có targetId -> page_1 như trước
+    _harPages(items, title) {
+        const pages = new Map();
+
+        for (const item of items) {
+            const key = item.targetId || null;
+            if (pages.has(key)) continue;
+
+            let pageTitle = title;
+            if (!pageTitle) {
+                const record = key ? this._recordByTargetId(key) : (this.page ? { page: this.page } : null);
+                pageTitle = (record && this._pageUrlOf(record)) || item.url;
+            }
+            pages.set(key, {
+                id: `page_${pages.size + 1}`,
+                title: pageTitle || 'TrackingHttp',
+                startedDateTime: new Date(item.startTime).toISOString()
+            });
+        }
+
+        if (pages.size === 0) {
+            const pageTitle = title || (this.page ? this._pageUrlOf({ page: this.page }) : '');
+            pages.set(null, { id: 'page_1', title: pageTitle || 'TrackingHttp', startedDateTime: new Date().toISOString() });
+        }
+
+        return pages;
+    }
+
+    _findSocket(targetId, requestId) {
+        return this.sockets.find(socket => socket.requestId === requestId && socket.targetId === targetId) || null;
+    }
+
+    // Ghi HAR ra file (mở được bằng DevTools > Network > Import HAR)
+    async exportHAR(filePath, options = {}) {
+        const har = await this.toHAR(options);
+        await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.promises.writeFile(filePath, JSON.stringify(har, null, 2));
+        if (this.config.debug) console.log(`[TrackingHttp] HAR exported: ${filePath} (${har.log.entries.length} entries)`);
+        return har;
+    }
+
+    // Đọc HAR (path hoặc object) -> entries { url, method, status, responseHeaders, body, ... } cho replay / mock
+    async loadHAR(source) {
+        const har = typeof source === 'string' ? JSON.parse(await fs.promises.readFile(source, 'utf8')) : source;
+        if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error('HAR không hợp lệ');
+        this.harEntries = har.log.entries.map((item, i) => harToEntry(item, i + 1));
+        return this.harEntries;
+    }
+
+    // ==================== ROUTING / MOCKING ====================
+
+    // Thêm rule chặn/sửa/mock request. handler(route, request):
+    //   route.abort(errorCode) | route.continue({ headers, postData, url, method }) | route.fulfill({ status, headers, contentType, body }) | route.fallback()
+    // Không gọi gì = chuyển sang rule tiếp theo. options: { priority (cao chạy trước), method, resourceType, times }
+    async route(matcher, handler, options = {}) {
+        if (typeof handler !== 'function') throw new Error('route handler phải là function');
+        const rule = {
+            id: this._nextRouteId++,
+            matcher,
+            handler,
+            priority: options.priority || 0,
+            method: options.method ? String(options.method).toUpperCase() : null,
+            resourceType: options.resourceType || null,
+            times: options.times || null,
+            hits: 0
+        };
+        this.routes.push(rule);
+        // Priority cao trước, cùng priority thì rule thêm trước chạy trước
+        this.routes.sort((a, b) => b.priority - a.priority || a.id - b.id);
+        if (this.isEnabled) await this._setInterception(true);
+        return rule.id;
+    }
+
+    // Xoá rule theo id (route() trả về) hoặc theo matcher; không truyền gì = xoá tất cả
+    async unroute(idOrMatcher = null) {
+        if (idOrMatcher === null) this.routes = [];
+        else this.routes = this.routes.filter(r => r.id !== idOrMatcher && r.matcher !== idOrMatcher);
+        if (this.routes.length === 0 && this.isEnabled) await this._setInterception(false);
+    }
+
+    // Chặn theo resource type để tiết kiệm băng thông proxy: ['image', 'media', 'font']
+    async blockResources(types, options = {}) {
+        const list = Array.isArray(types) ? types : [types];
+        return this.route((url, entry) => !!entry && list.includes(entry.resourceType), (route) => route.abort('blockedbyclient'), options);
+    }
+
+    // Chặn URL (tracker, analytics...): string | RegExp | function, hoặc mảng
+    async blockUrls(matchers, options = {}) {
+        const list = Array.isArray(matchers) ? matchers : [matchers];
+        return this.route((url, entry) => list.some(m => this._matchUrl(m, url, entry)), (route) => route.abort('blockedbyclient'), options);
+    }
+
+    // Mock response từ HAR (path, HAR object hoặc entries từ loadHAR). options: { url (matcher), notFound: 'continue' | 'abort', priority }
+    async routeFromHAR(source, options = {}) {
+        const entries = Array.isArray(source) ? source : await this.loadHAR(source);
+        const notFound = options.notFound || 'continue';
+        return this.route(options.url || (() => true), (route, request) => {
+            const method = String(request.method()).toUpperCase();
+            const postData = typeof request.postData === 'function' ? (request.postData() || null) : null;
+            const candidates = entries.filter(e => e.url === request.url() && e.method === method && e.state !== 'failed');
+            const match = candidates.find(e => e.postData === postData) || candidates[0];
+            if (match) {
+                const headers = { ...match.responseHeaders };
+                delete headers['content-length'];
+                delete headers['content-encoding'];
+                return route.fulfill({ status: match.status, headers, body: match.body || '' });
+            }
+            if (notFound === 'abort') return route.abort('failed');
+        }, options);
+    }
+
+    // ==================== WAIT HELPERS ====================
+    // options chung: { timeout, method, status, body, predicate }
+    //   status: number | [min, max] | function(status)
+    //   body: function(body) | object (so khớp một phần JSON, ví dụ { status: 'done' })
+    //   predicate: function(data) => boolean (có thể async)
+
     // Wait for a specific response, then return { url, status, method, headers, body, timestamp }
-    waitForResponse(matcher, options = {}) {
-        if (!this.page) throw new Error('TrackingHttp chưa enable');
+    async waitForResponse(matcher, options = {}) {
+        const [data] = await this.waitForResponses(matcher, { ...options, count: 1 });
+        return data;
+    }
+
+    // Chờ đủ N response khớp (phân trang, polling endpoint)
+    waitForResponses(matcher, options = {}) {
+        if (!this.isEnabled) throw new Error('TrackingHttp chưa enable');
+        const count = options.count || 1;
         const timeout = options.timeout || this.config.timeout;
+        return this._collectResponses(matcher, options, { count, timeout, rejectOnTimeout: true });
+    }
+
+    // Gom mọi response khớp trong khoảng durationMs
+    collect(matcher, durationMs, options = {}) {
+        if (!this.isEnabled) throw new Error('TrackingHttp chưa enable');
+        return this._collectResponses(matcher, options, { count: Infinity, timeout: durationMs, rejectOnTimeout: false });
+    }
+
+    // Chờ request khớp, trả về { url, method, headers, postData, resourceType, timestamp }
+    // options: { timeout, method, predicate(data) }
+    waitForRequest(matcher, options = {}) {
+        if (!this.isEnabled) throw new Error('TrackingHttp chưa enable');
+        const timeout = options.timeout || this.config.timeout;
+        const methodFilter = options.method ? String(options.method).toUpperCase() : null;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.removeListener('http:request', onRequest);
+            };
+            const onRequest = async(entry) => {
+                if (!this._matchUrl(matcher, entry.url, entry)) return;
+                if (methodFilter && entry.method !== methodFilter) return;
+                const data = {
+                    url: entry.url,
+                    method: entry.method,
+                    headers: entry.requestHeaders,
+                    postData: entry.postData,
+                    resourceType: entry.resourceType,
+                    timestamp: entry.startTime
+                };
+                try {
+                    if (options.predicate && !(await options.predicate(data))) return;
+                } catch (_) {
+                    return;
+                }
+                cleanup();
+                resolve(data);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timeout chờ request: ${matcher} (${timeout}ms)`));
+            }, timeout);
+            this.on('http:request', onRequest);
+        });
+    }
+
+    // ==================== WEBSOCKET / EVENTSOURCE ====================
+
+    // Socket đã ghi ({ id, requestId, type: 'websocket' | 'eventsource', url, state, messages, ... }), filter giống getRequests
+    getWebSockets(filter = null) {
+        if (!filter) return this.sockets.slice();
+        return this.sockets.filter(socket => this._matchEntry(filter, socket));
+    }
+
+    // Chờ message khớp, trả về { socketId, url, type, direction, opcode, data, eventName, eventId, timestamp }
+    // payloadPredicate: function(payload, message) | string (contains) | RegExp | object (partial JSON match)
+    //   payload là JSON đã parse nếu được, ngược lại là chuỗi gốc
+    // options: { timeout, direction: 'sent' | 'received' }
+    waitForWebSocketMessage(urlMatcher, payloadPredicate = null, options = {}) {
+        if (!this.isEnabled) throw new Error('TrackingHttp chưa enable');
+        if (this._sessions().length === 0 || !this.config.trackSockets) throw new Error('TrackingHttp: không có CDP session để theo dõi WebSocket (trackSockets)');
+        const timeout = options.timeout || this.config.timeout;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.removeListener('ws:message', onMessage);
+            };
+            const onMessage = async(message) => {
+                if (urlMatcher && !this._matchUrl(urlMatcher, message.url, message)) return;
+                if (options.direction && message.direction !== options.direction) return;
+                try {
+                    if (payloadPredicate && !(await this._matchPayload(payloadPredicate, message))) return;
+                } catch (_) {
+                    return;
+                }
+                cleanup();
+                resolve(message);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timeout chờ WebSocket message: ${urlMatcher} (${timeout}ms)`));
+            }, timeout);
+            this.on('ws:message', onMessage);
+        });
+    }
+
+    // ==================== BANDWIDTH / THROTTLING ====================
+
+    // Bytes đã truyền: { total, sent, received, requests, pages, domains, resourceTypes }
+    //   received: encodedDataLength từ CDP (header + body nén); sent: request line + header + body upload (ước lượng)
+    //   pages: theo URL document phát ra request (iframe tính theo URL của iframe)
+    getBandwidth() {
+        const b = this.bandwidth;
+        return {
+            total: b.total,
+            sent: b.sent,
+            received: b.received,
+            requests: b.requests,
+            budget: this.config.byteBudget,
+            pages: { ...b.pages },
+            domains: { ...b.domains },
+            resourceTypes: { ...b.resourceTypes }
+        };
+    }
+
+    // Reset bộ đếm (và cho phép event budget bắn lại)
+    resetBandwidth() {
+        this.bandwidth = { total: 0, sent: 0, received: 0, requests: 0, pages: {}, domains: {}, resourceTypes: {} };
+        this._budgetExceeded = false;
+    }
+
+    setByteBudget(bytes) {
+        this.config.byteBudget = bytes || null;
+        this._budgetExceeded = false;
+        this._checkBudget();
+    }
+
+    // preset: 'offline' | 'slow-3g' | '3g' | '4g' | 'no-throttling' | null
+    //   hoặc custom { offline, latency (ms), downloadThroughput, uploadThroughput (bytes/s) }
+    async emulateNetwork(preset) {
+        let conditions = null;
+        if (preset && typeof preset === 'object') {
+            conditions = { ...NETWORK_PRESETS['no-throttling'], ...preset };
+        } else if (preset && preset !== 'no-throttling') {
+            conditions = NETWORK_PRESETS[preset];
+            if (!conditions) throw new Error(`Network preset không hợp lệ: ${preset} (${Object.keys(NETWORK_PRESETS).join(', ')})`);
+        }
+
+        this.networkConditions = conditions;
+        if (this.isEnabled) await this._applyNetworkConditions();
+        return conditions || NETWORK_PRESETS['no-throttling'];
+    }
+
+    // ==================== INTERNAL ====================
+
+    // Lắng nghe http:response, lọc theo matcher + predicates, resolve khi đủ count hoặc hết thời gian
+    _collectResponses(matcher, options, { count, timeout, rejectOnTimeout }) {
         const methodFilter = options.method ? String(options.method).toUpperCase() : null;
 
-        return this.page.waitForResponse((res) => {
-            const url = res.url();
-            if (typeof matcher === 'string' && !url.includes(matcher)) return false;
-            if (matcher instanceof RegExp && !matcher.test(url)) return false;
-            if (typeof matcher === 'function') {
-                const r = matcher(url);
-                if (typeof r === 'boolean' && !r) return false;
-            }
-            if (methodFilter && String(res.request().method()).toUpperCase() !== methodFilter) return false;
-            return true;
-        }, { timeout }).then(async(res) => {
-            let body;
-            try { body = await res.json(); } catch (_) { try { body = await res.text(); } catch (_) { body = null; } }
-            const data = {
-                url: res.url(),
-                status: res.status(),
-                method: res.request().method(),
-                headers: typeof res.headers === 'function' ? res.headers() : {},
-                body,
-                timestamp: Date.now()
+        return new Promise((resolve, reject) => {
+            const results = [];
+            let done = false;
+
+            const finish = (error) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                this.removeListener('http:response', onResponse);
+                if (error) reject(error);
+                else resolve(results);
             };
-            this.emit('response', data);
-            return data;
+
+            const onResponse = async(entry) => {
+                if (!this._matchUrl(matcher, entry.url, entry)) return;
+                if (methodFilter && entry.method !== methodFilter) return;
+                if (options.status && !this._matchStatus(options.status, entry.status)) return;
+
+                const data = {
+                    url: entry.url,
+                    status: entry.status,
+                    method: entry.method,
+                    headers: entry.responseHeaders || {},
+                    body: await this.getBody(entry),
+                    timestamp: Date.now()
+                };
+
+                try {
+                    if (options.body && !this._matchBody(options.body, data.body)) return;
+                    if (options.predicate && !(await options.predicate(data))) return;
+                } catch (_) {
+                    return;
+                }
+
+                if (done) return;
+                results.push(data);
+                this.emit('response', data);
+                if (results.length >= count) finish();
+            };
+
+            const timer = setTimeout(() => {
+                if (!rejectOnTimeout) return finish();
+                finish(new Error(`Timeout chờ response: ${matcher} (${results.length}/${count}, ${timeout}ms)`));
+            }, timeout);
+
+            this.on('http:response', onResponse);
+        });
+    }
+
+    _matchPayload(predicate, message) {
+        let payload = message.data;
+        if (typeof payload === 'string' && message.opcode !== 2) {
+            try { payload = JSON.parse(payload); } catch (_) { /* giữ text */ }
+        }
+        if (typeof predicate === 'function') return predicate(payload, message);
+        if (typeof predicate === 'string') return String(message.data).includes(predicate);
+        return this._matchBody(predicate, payload);
+    }
+
+    // expected: function(body) | object (partial deep match) | giá trị (so sánh ===)
+    _matchBody(expected, actual) {
+        if (typeof expected === 'function') return !!expected(actual);
+        if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+        if (expected && typeof expected === 'object') {
+            if (!actual || typeof actual !== 'object') return false;
+            return Object.keys(expected).every(key => this._matchBody(expected[key], actual[key]));
+        }
+        return expected === actual;
+    }
+
+    async _setInterception(enabled) {
+        this._interceptionEnabled = enabled;
+        for (const record of this._targets.values()) {
+            if (record.page) await this._applyInterception(record, enabled);
+        }
+    }
+
+    async _applyInterception(record, enabled) {
+        if (record.interception === enabled) return;
+        record.interception = enabled;
+        try {
+            await record.page.setRequestInterception(enabled);
+        } catch (error) {
+            if (this.config.debug) console.log(`[TrackingHttp] setRequestInterception thất bại: ${error.message}`);
+        }
+    }
+
+    // Chạy các rule theo thứ tự priority cho request bị intercept
+    async _handleRoute(req) {
+        if (!this._interceptionEnabled) return;
+        if (typeof req.isInterceptResolutionHandled === 'function' && req.isInterceptResolutionHandled()) return;
+
+        const entry = this._entryByRequest.get(req) || null;
+        const url = req.url();
+        const method = String(req.method()).toUpperCase();
+        let resolved = false;
+        let action = null;
+
+        const route = {
+            request: req,
+            abort: async(errorCode = 'failed') => {
+                resolved = true;
+                action = 'abort';
+                await req.abort(errorCode);
+            },
+            continue: async(overrides = {}) => {
+                resolved = true;
+                action = 'continue';
+                const next = { ...overrides };
+                if (overrides.headers) next.headers = { ...req.headers(), ...overrides.headers };
+                await req.continue(next);
+            },
+            fulfill: async(response = {}) => {
+                resolved = true;
+                action = 'fulfill';
+                let body = response.body !== undefined ? response.body : '';
+                let contentType = response.contentType;
+                if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+                    body = JSON.stringify(body);
+                    contentType = contentType || 'application/json';
+                }
+                await req.respond({ status: response.status || 200, headers: response.headers || {}, contentType, body });
+            },
+            fallback: () => {}
+        };
+
+        try {
+            for (const rule of this.routes.slice()) {
+                if (rule.method && rule.method !== method) continue;
+                if (rule.resourceType && (!entry || entry.resourceType !== rule.resourceType)) continue;
+                if (!this._matchUrl(rule.matcher, url, entry)) continue;
+
+                rule.hits++;
+                if (rule.times && rule.hits >= rule.times) this.routes = this.routes.filter(r => r !== rule);
+
+                await rule.handler(route, req);
+                if (resolved) break;
+            }
+            if (!resolved) await req.continue();
+        } catch (error) {
+            this.emit('route:error', { url, error });
+            if (!resolved) {
+                try { await req.continue(); } catch (_) {}
+            }
+        }
+
+        if (entry && action && action !== 'continue') entry.routed = action;
+    }
+
+    // Body cho HAR: text (utf8) hoặc base64 cho binary
+    async _getBodyContent(entry) {
+        if (entry.body !== undefined && entry.body !== null) {
+            const text = typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body);
+            return { text, size: Buffer.byteLength(text) };
+        }
+        const res = this._responses.get(entry);
+        if (!res || typeof res.buffer !== 'function') return null;
+        try {
+            const buffer = await res.buffer();
+            const mimeType = (entry.responseHeaders && entry.responseHeaders['content-type']) || '';
+            if (TEXT_MIME_REGEX.test(mimeType)) return { text: buffer.toString('utf8'), size: buffer.length };
+            return { text: buffer.toString('base64'), encoding: 'base64', size: buffer.length };
+        } catch (_) {
+            return null; // redirect / body đã bị giải phóng
+        }
+    }
+
+    // Matcher dùng chung: string (contains) | RegExp | function(url, entry)
+    _matchUrl(matcher, url, entry = null) {
+        if (typeof matcher === 'string' && !url.includes(matcher)) return false;
+        if (matcher instanceof RegExp && !matcher.test(url)) return false;
+        if (typeof matcher === 'function') {
+            const r = matcher(url, entry);
+            if (typeof r === 'boolean' && !r) return false;
+        }
+        return true;
+    }
+
+    _matchEntry(filter, entry) {
+        if (typeof filter === 'string' || filter instanceof RegExp || typeof filter === 'function') {
+            return this._matchUrl(filter, entry.url, entry);
+        }
+        if (filter.url && !this._matchUrl(filter.url, entry.url, entry)) return false;
+        if (filter.method && entry.method !== String(filter.method).toUpperCase()) return false;
+        if (filter.status && !this._matchStatus(filter.status, entry.status)) return false;
+        if (filter.resourceType && entry.resourceType !== filter.resourceType) return false;
+        if (filter.targetId && entry.targetId !== filter.targetId) return false;
+        return true;
+    }
+
+    // status: number | [min, max] | function(status)
+    _matchStatus(expected, status) {
+        if (typeof expected === 'function') return !!expected(status);
+        if (Array.isArray(expected)) return status >= expected[0] && status <= expected[1];
+        return status === expected;
+    }
+
+    // ==================== TARGETS ====================
+
+    _recordByTargetId(targetId) {
+        for (const record of this._targets.values()) {
+            if (record.targetId === targetId) return record;
+        }
+        return null;
+    }
+
+    // Target mới từ browser: page / popup -> listeners của page, worker -> CDP (tự ghi request), OOPIF -> CDP (socket + bandwidth)
+    async _attachTarget(target) {
+        if (!this.isEnabled || this._targets.has(target)) return;
+
+        const type = target.type();
+        try {
+            if (type === 'page' || type === 'background_page' || type === 'webview') {
+                const page = await target.page();
+                if (page && this.isEnabled) await this._attachPage(page, target);
+            } else if (type === 'service_worker' || type === 'shared_worker') {
+                await this._attachSession({ key: target, type, target, page: null, recordRequests: true });
+            } else if (type === 'other') {
+                // Puppeteer báo OOPIF là 'other' -> loại thật lấy từ Target.getTargetInfo, chỉ giữ 'iframe'
+                // Request của OOPIF đã đi qua event của page chứa nó, session này lấy WebSocket / bandwidth / targetId của request
+                await this._attachSession({ key: target, type: 'iframe', target, page: null, recordRequests: false, requireType: 'iframe' });
+            }
+        } catch (error) {
+            if (this.config.debug) console.log(`[TrackingHttp] attach ${type} thất bại: ${error.message}`);
+        }
+    }
+
+    async _attachPage(page, target = null) {
+        if (!target && typeof page.target === 'function') target = page.target();
+        const record = {
+            key: target || page,
+            targetId: null,
+            type: 'page',
+            target,
+            page,
+            listeners: {
+                request: (req) => this._onRequest(req, record),
+                response: (res) => this._onResponse(res),
+                requestfinished: (req) => this._onRequestFinished(req),
+                requestfailed: (req) => this._onRequestFailed(req)
+            },
+            interception: false
+        };
+
+        // Session trước để có targetId cho các entry đầu tiên
+        if (!this.page) this.page = page;
+        await this._attachSession(record);
+        for (const [event, handler] of Object.entries(record.listeners)) page.on(event, handler);
+
+        if (this._interceptionEnabled) await this._applyInterception(record, true);
+    }
+
+    // CDP session riêng cho các event mà Puppeteer không expose (WebSocket frames, EventSource, encodedDataLength)
+    async _attachSession(record) {
+        this._targets.set(record.key, record);
+        const source = record.page || record.target;
+        try {
+            record.cdp = typeof source.createCDPSession === 'function'
+                ? await source.createCDPSession()
+                : await source.target().createCDPSession();
+        } catch (error) {
+            record.cdp = null;
+            if (this.config.debug) console.log(`[TrackingHttp] CDP session không khả dụng: ${error.message}`);
+            if (record.requireType) this._targets.delete(record.key);
+            return;
+        }
+
+        // targetId qua CDP (API public), không dùng field nội bộ của Puppeteer
+        let targetInfo = null;
+        try {
+            ({ targetInfo } = await record.cdp.send('Target.getTargetInfo'));
+        } catch (_) { /* target đã đóng */ }
+        record.targetId = targetInfo ? targetInfo.targetId : null;
+        record.sessionId = record.cdp.id();
+
+        if (record.requireType && (!targetInfo || targetInfo.type !== record.requireType)) {
+            this._targets.delete(record.key);
+            try { await record.cdp.detach(); } catch (_) { /* ignore */ }
+            record.cdp = null;
+            return;
+        }
+
+        record.cdpListeners = {
+            'Network.requestWillBeSent': (e) => {
+                const key = this._requestKey(record, e.requestId);
+                // Redirect: bytes của response 3xx trước đó
+                const prev = this._cdpRequests.get(key);
+                if (e.redirectResponse && prev) this._addBandwidth(prev, e.redirectResponse.encodedDataLength);
+                const request = {
+                    url: e.request.url,
+                    resourceType: e.type ? e.type.toLowerCase() : 'other',
+                    documentURL: e.documentURL || null,
+                    record
+                };
+                this._cdpRequests.set(key, request);
+                this._addRequestBandwidth(record, request, e);
+                if (record.type === 'iframe') this._tagFrameRequest(record, e.requestId, e.request.url);
+                if (record.recordRequests) this._recordCDPRequest(record, e);
+                if (e.type === 'EventSource' && this.config.trackSockets) {
+                    this._openSocket(record, e.requestId, 'eventsource', e.request.url, { requestHeaders: e.request.headers, documentURL: e.documentURL || null });
+                }
+            },
+            'Network.loadingFinished': (e) => {
+                this._onLoadingDone(record, e.requestId, e.encodedDataLength);
+                if (record.recordRequests) this._finishCDPRequest(record, e.requestId, null);
+                this._closeSocket(record, e.requestId);
+            },
+            'Network.loadingFailed': (e) => {
+                this._onLoadingDone(record, e.requestId, 0);
+                if (record.recordRequests) this._finishCDPRequest(record, e.requestId, e.errorText || 'unknown');
+                this._closeSocket(record, e.requestId);
+            },
+            // Header thật từ network stack: Set-Cookie thường không có trong response.headers() của Puppeteer
+            'Network.responseReceivedExtraInfo': (e) => {
+                const request = this._cdpRequests.get(this._requestKey(record, e.requestId));
+                this.emit('http:responseExtraInfo', {
+                    requestId: e.requestId,
+                    targetId: record.targetId,
+                    url: request ? request.url : null,
+                    status: e.statusCode,
+                    headers: e.headers || {},
+                    blockedCookies: (e.blockedCookies || []).map(blocked => blocked.cookieLine)
+                });
+            }
+        };
+
+        if (record.recordRequests) {
+            record.cdpEntries = new Map();
+            record.cdpListeners['Network.responseReceived'] = (e) => this._onCDPResponse(record, e);
+        }
+        if (this.config.trackSockets) Object.assign(record.cdpListeners, this._socketListeners(record));
+
+        for (const [event, handler] of Object.entries(record.cdpListeners)) record.cdp.on(event, handler);
+        try {
+            await record.cdp.send('Network.enable');
+            if (this.networkConditions) await record.cdp.send('Network.emulateNetworkConditions', this.networkConditions);
+        } catch (_) { /* target đã đóng */ }
+
+        this.emit('target:attached', { targetId: record.targetId, type: record.type });
+    }
+
+    async _detachTarget(record) {
+        this._targets.delete(record.key);
+
+        if (record.page && record.listeners) {
+            if (record.interception) await this._applyInterception(record, false);
+            for (const [event, handler] of Object.entries(record.listeners)) {
+                if (typeof record.page.off === 'function') record.page.off(event, handler);
+                else record.page.removeListener(event, handler);
+            }
+        }
+
+        if (record.cdp) {
+            for (const [event, handler] of Object.entries(record.cdpListeners || {})) record.cdp.off(event, handler);
+            try { await record.cdp.detach(); } catch (_) { /* session đã đóng cùng target */ }
+            record.cdp = null;
+        }
+
+        for (const [key, request] of this._cdpRequests) {
+            if (request.record === record) this._cdpRequests.delete(key);
+        }
+        for (const [requestId, request] of this._frameRequests) {
+            if (request.targetId === record.targetId) this._frameRequests.delete(requestId);
+        }
+        if (this.page === record.page) this.page = null;
+
+        this.emit('target:detached', { targetId: record.targetId, type: record.type });
+    }
+
+    _sessions() {
+        return Array.from(this._targets.values()).filter(record => record.cdp);
+    }
+
+    _pageUrlOf(record) {
+        try {
+            if (record.page) return record.page.url();
+            return record.target ? record.target.url() : '';
+        } catch (_) {
+            return ''; // page đã đóng
+        }
+    }
+
+    // requestId chỉ unique trong một target (CDP session id luôn có khi nhận event CDP)
+    _requestKey(record, requestId) {
+        return `${record.sessionId || record.targetId}:${requestId}`;
+    }
+
+    // Entry từ page event: OOPIF có targetId riêng, biết được khi session của iframe thấy cùng requestId + url
+    _entryTargetId(req, record) {
+        const request = req.id ? this._frameRequests.get(req.id) : null;
+        return request && request.url === req.url() ? request.targetId : record.targetId;
+    }
+
+    // Session iframe thấy request: gắn targetId cho entry đã tạo từ page event (thứ tự hai event không cố định)
+    _tagFrameRequest(record, requestId, url) {
+        this._frameRequests.set(requestId, { targetId: record.targetId, url });
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.requestId === requestId && entry.url === url && entry.state === 'pending') {
+                entry.targetId = record.targetId;
+                break;
+            }
+        }
+    }
+
+    // ==================== CDP ====================
+
+    _socketListeners(record) {
+        return {
+            'Network.webSocketCreated': (e) => this._openSocket(record, e.requestId, 'websocket', e.url),
+            'Network.webSocketWillSendHandshakeRequest': (e) => {
+                const socket = this._socketByRequestId.get(this._requestKey(record, e.requestId));
+                if (socket) socket.requestHeaders = e.request.headers;
+            },
+            'Network.webSocketHandshakeResponseReceived': (e) => {
+                const socket = this._socketByRequestId.get(this._requestKey(record, e.requestId));
+                if (!socket) return;
+                socket.status = e.response.status;
+                socket.statusText = e.response.statusText;
+                socket.responseHeaders = e.response.headers;
+            },
+            'Network.webSocketFrameSent': (e) => this._onSocketFrame(record, e, 'sent'),
+            'Network.webSocketFrameReceived': (e) => this._onSocketFrame(record, e, 'received'),
+            'Network.webSocketFrameError': (e) => {
+                const socket = this._socketByRequestId.get(this._requestKey(record, e.requestId));
+                if (socket) socket.error = e.errorMessage;
+            },
+            'Network.webSocketClosed': (e) => this._closeSocket(record, e.requestId),
+            'Network.eventSourceMessageReceived': (e) => this._pushSocketMessage(record, e.requestId, {
+                direction: 'received',
+                opcode: null,
+                data: e.data,
+                eventName: e.eventName || 'message',
+                eventId: e.eventId || null
+            })
+        };
+    }
+
+    async _applyNetworkConditions() {
+        const sessions = this._sessions();
+        if (sessions.length === 0) throw new Error('TrackingHttp: không có CDP session để giả lập network');
+        const conditions = this.networkConditions || NETWORK_PRESETS['no-throttling'];
+        await Promise.all(sessions.map(record => record.cdp.send('Network.emulateNetworkConditions', conditions).catch(() => {})));
+    }
+
+    _onLoadingDone(record, requestId, encodedDataLength) {
+        const key = this._requestKey(record, requestId);
+        if (record.type === 'iframe') this._frameRequests.delete(requestId);
+        const request = this._cdpRequests.get(key);
+        if (!request) return;
+        this._cdpRequests.delete(key);
+        this._addBandwidth(request, encodedDataLength);
+
+        // requestId chỉ unique trong target -> so cả targetId
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].requestId === requestId && this.entries[i].targetId === record.targetId) {
+                this.entries[i].transferSize = encodedDataLength;
+                break;
+            }
+        }
+    }
+
+    // Bytes gửi đi của request: CDP không có encodedDataLength chiều upload -> tự tính từ request
+    // Body lớn không nằm trong event (hasPostData) -> đọc qua Network.getRequestPostData
+    _addRequestBandwidth(record, request, e) {
+        const req = e.request;
+        let bytes = `${req.method} ${req.url} HTTP/1.1\r\n`.length + 2;
+        for (const [name, value] of Object.entries(req.headers || {})) bytes += name.length + String(value).length + 4;
+
+        if (Array.isArray(req.postDataEntries) && req.postDataEntries.length > 0) {
+            bytes += req.postDataEntries.reduce((sum, item) => sum + (item.bytes ? Buffer.from(item.bytes, 'base64').length : 0), 0);
+        } else if (req.postData) {
+            bytes += Buffer.byteLength(req.postData);
+        } else if (req.hasPostData && record.cdp) {
+            record.cdp.send('Network.getRequestPostData', { requestId: e.requestId })
+                .then(({ postData }) => this._addBandwidth(request, Buffer.byteLength(postData || ''), 'sent'))
+                .catch(() => {});
+        }
+
+        this._addBandwidth(request, bytes, 'sent');
+    }
+
+    // request: { url, resourceType, documentURL, record }; direction: 'received' | 'sent'
+    _addBandwidth(request, bytes, direction = 'received') {
+        if (!bytes) return;
+        const b = this.bandwidth;
+        const add = (bucket, key) => { bucket[key] = (bucket[key] || 0) + bytes; };
+
+        let domain = 'unknown';
+        try { domain = new URL(request.url).hostname || domain; } catch (_) { /* data: / blob: */ }
+        const pageUrl = request.documentURL || (request.record ? this._pageUrlOf(request.record) : '');
+
+        b.total += bytes;
+        b[direction] += bytes;
+        if (direction === 'received') b.requests++;
+        add(b.pages, pageUrl || 'unknown');
+        add(b.domains, domain);
+        add(b.resourceTypes, request.resourceType || 'other');
+
+        this._checkBudget();
+    }
+
+    _checkBudget() {
+        const budget = this.config.byteBudget;
+        if (!budget || this._budgetExceeded || this.bandwidth.total < budget) return;
+        this._budgetExceeded = true;
+        this.emit('bandwidth:budget', { total: this.bandwidth.total, budget, bandwidth: this.getBandwidth() });
+    }
+
+    _openSocket(record, requestId, type, url, extra = {}) {
+        const socket = {
+            id: this._nextId++,
+            requestId,
+            targetId: record.targetId,
+            type,
+            resourceType: type,
+            url,
+            method: 'GET',
+            status: type === 'eventsource' ? 200 : null,
+            statusText: null,
+            requestHeaders: {},
+            responseHeaders: {},
+            state: 'open',
+            error: null,
+            startTime: Date.now(),
+            endTime: null,
+            messages: [],
+            documentURL: this._pageUrlOf(record) || null, // page lúc mở socket, dùng cho bandwidth.pages
+            ...extra
+        };
+
+        this._socketByRequestId.set(this._requestKey(record, requestId), socket);
+        this.sockets.push(socket);
+        if (this.sockets.length > this.config.maxEntries) {
+            const removed = new Set(this.sockets.splice(0, this.sockets.length - this.config.maxEntries));
+            for (const [key, old] of this._socketByRequestId) {
+                if (removed.has(old)) this._socketByRequestId.delete(key);
+            }
+        }
+
+        this.emit('ws:open', socket);
+    }
+
+    _onSocketFrame(record, e, direction) {
+        const socket = this._socketByRequestId.get(this._requestKey(record, e.requestId));
+        if (socket && e.response.payloadData) {
+            const bytes = e.response.opcode === 2 ? Buffer.from(e.response.payloadData, 'base64').length : Buffer.byteLength(e.response.payloadData);
+            this._addBandwidth({ url: socket.url, resourceType: 'websocket', documentURL: socket.documentURL, record }, bytes, direction);
+        }
+        this._pushSocketMessage(record, e.requestId, {
+            direction,
+            opcode: e.response.opcode,
+            data: e.response.payloadData // opcode 2 (binary): base64
+        });
+    }
+
+    _pushSocketMessage(record, requestId, fields) {
+        const socket = this._socketByRequestId.get(this._requestKey(record, requestId));
+        if (!socket) return;
+
+        const message = {
+            socketId: socket.id,
+            targetId: socket.targetId,
+            url: socket.url,
+            type: socket.type,
+            eventName: null,
+            eventId: null,
+            ...fields,
+            timestamp: Date.now()
+        };
+
+        socket.messages.push(message);
+        if (socket.messages.length > this.config.maxMessages) socket.messages.splice(0, socket.messages.length - this.config.maxMessages);
+
+        this.emit('ws:message', message);
+    }
+
+    _closeSocket(record, requestId) {
+        const socket = this._socketByRequestId.get(this._requestKey(record, requestId));
+        if (!socket || socket.state === 'closed') return;
+        socket.state = 'closed';
+        socket.endTime = Date.now();
+        this.emit('ws:close', socket);
+    }
+
+    // Worker không có page event -> ghi request trực tiếp từ CDP
+    _recordCDPRequest(record, e) {
+        const previous = record.cdpEntries.get(e.requestId);
+        if (previous && e.redirectResponse) {
+            this._applyCDPResponse(previous, e.redirectResponse);
+            this._finishEntry(previous, null);
+        }
+
+        const entry = this._createEntry({
+            requestId: e.requestId,
+            targetId: record.targetId,
+            url: e.request.url,
+            method: e.request.method,
+            resourceType: e.type ? e.type.toLowerCase() : 'other',
+            requestHeaders: e.request.headers || {},
+            postData: e.request.postData || null
+        });
+        record.cdpEntries.set(e.requestId, entry);
+
+        // Body đọc lazy qua Network.getResponseBody, cùng interface với HTTPResponse của Puppeteer
+        const buffer = async() => {
+            const { body, base64Encoded } = await record.cdp.send('Network.getResponseBody', { requestId: e.requestId });
+            return Buffer.from(body, base64Encoded ? 'base64' : 'utf8');
+        };
+        this._responses.set(entry, {
+            buffer,
+            text: async() => (await buffer()).toString('utf8'),
+            json: async() => JSON.parse((await buffer()).toString('utf8'))
         });
     }
+
+    _onCDPResponse(record, e) {
+        const entry = record.cdpEntries.get(e.requestId);
+        if (!entry) return;
+        this._applyCDPResponse(entry, e.response);
+        this.emit('http:response', entry);
+    }
+
+    _applyCDPResponse(entry, response) {
+        entry.status = response.status;
+        entry.statusText = response.statusText || '';
+        entry.responseHeaders = Object.keys(response.headers || {}).reduce((acc, key) => {
+            acc[key.toLowerCase()] = response.headers[key];
+            return acc;
+        }, {});
+        entry.fromCache = !!(response.fromDiskCache || response.fromServiceWorker);
+        entry.remoteAddress = response.remoteIPAddress ? { ip: response.remoteIPAddress, port: response.remotePort } : null;
+        entry.responseTime = Date.now();
+        entry.timing = response.timing || null;
+    }
+
+    _finishCDPRequest(record, requestId, failure) {
+        const entry = record.cdpEntries.get(requestId);
+        if (!entry) return;
+        record.cdpEntries.delete(requestId);
+        this._finishEntry(entry, failure);
+    }
+
+    // ==================== PAGE EVENTS ====================
+
+    _onRequest(req, record) {
+        this._recordRequest(req, record);
+        this._handleRoute(req);
+    }
+
+    _recordRequest(req, record) {
+        const entry = this._createEntry({
+            requestId: req.id || null, // CDP requestId, dùng để nối với EventSource messages
+            targetId: this._entryTargetId(req, record),
+            url: req.url(),
+            method: req.method(),
+            resourceType: typeof req.resourceType === 'function' ? req.resourceType() : null,
+            requestHeaders: req.headers(),
+            postData: typeof req.postData === 'function' ? (req.postData() || null) : null
+        });
+        this._entryByRequest.set(req, entry);
+    }
+
+    _createEntry(fields) {
+        const entry = {
+            id: this._nextId++,
+            ...fields,
+            method: String(fields.method).toUpperCase(),
+            status: null,
+            statusText: null,
+            responseHeaders: null,
+            fromCache: false,
+            remoteAddress: null,
+            failure: null,
+            state: 'pending',
+            startTime: Date.now(),
+            responseTime: null,
+            timing: null,
+            endTime: null,
+            duration: null,
+            routed: null // 'abort' | 'fulfill' khi bị route xử lý
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.config.maxEntries) this.entries.splice(0, this.entries.length - this.config.maxEntries);
+
+        this.emit('http:request', entry);
+        return entry;
+    }
+
+    _onResponse(res) {
+        const entry = this._entryByRequest.get(res.request());
+        if (!entry) return;
+
+        entry.status = res.status();
+        entry.statusText = typeof res.statusText === 'function' ? res.statusText() : '';
+        entry.responseHeaders = res.headers();
+        entry.fromCache = typeof res.fromCache === 'function' ? res.fromCache() : false;
+        entry.remoteAddress = typeof res.remoteAddress === 'function' ? res.remoteAddress() : null;
+        entry.responseTime = Date.now();
+        // CDP Network.ResourceTiming (dns, connect, ssl, send, receiveHeadersEnd...)
+        entry.timing = typeof res.timing === 'function' ? res.timing() : null;
+        this._responses.set(entry, res);
+
+        this.emit('http:response', entry);
+    }
+
+    _onRequestFinished(req) {
+        const entry = this._entryByRequest.get(req);
+        if (entry) this._finishEntry(entry, null);
+    }
+
+    _onRequestFailed(req) {
+        const entry = this._entryByRequest.get(req);
+        if (!entry) return;
+        const failure = req.failure();
+        this._finishEntry(entry, failure ? failure.errorText : 'unknown');
+    }
+
+    _finishEntry(entry, failure) {
+        entry.state = failure ? 'failed' : 'finished';
+        entry.failure = failure;
+        entry.endTime = Date.now();
+        entry.duration = entry.endTime - entry.startTime;
+
+        if (failure) {
+            this.emit('http:failed', entry);
+            return;
+        }
+
+        const capture = this.config.captureBody;
+        if (capture && (capture === true || this._matchUrl(capture, entry.url, entry))) {
+            this.getBody(entry).then((body) => { entry.body = body; }).catch(() => {});
+        }
+
+        this.emit('http:finished', entry);
+    }
 }
 
-module.exports = TrackingHttp;
\ No newline at end of file
+module.exports = TrackingHttp;
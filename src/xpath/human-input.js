@@ -0,0 +1,324 @@
+/**
+ * Human Input - Human-like mouse / keyboard / scroll cho SelectorHelper
+ * - Mouse đi theo đường cong Bezier có jitter, click lệch tâm ngẫu nhiên trong bounding box
+ * - Gõ phím với delay biến thiên, thỉnh thoảng gõ sai rồi Backspace sửa lại
+ * - Cuộn bằng mouse wheel thay vì scrollIntoView
+ * Seedable: cùng seed -> cùng chuỗi thao tác (dùng cho test)
+ * Compatible with: Puppeteer, Playwright
+ */
+
+// Phím kề nhau trên bàn phím QWERTY (dùng để tạo lỗi gõ)
+const ADJACENT_KEYS = {
+    q: 'wa', w: 'qes', e: 'wrd', r: 'etf', t: 'ryg', y: 'tuh', u: 'yij', i: 'uok', o: 'ipl', p: 'o',
+    a: 'qsz', s: 'awdz', d: 'sefx', f: 'drgc', g: 'fthv', h: 'gyjb', j: 'hukn', k: 'jilm', l: 'ko',
+    z: 'asx', x: 'zsdc', c: 'xdfv', v: 'cfgb', b: 'vghn', n: 'bhjm', m: 'njk'
+};
+
+class HumanInput {
+    constructor(page, options = {}) {
+        this.page = page;
+        this.config = {
+            seed: null, // null = Math.random
+            mouseSpeed: 1, // > 1 nhanh hơn
+            clickOffset: 0.35, // độ lệch tối đa so với tâm (tỉ lệ nửa chiều rộng / cao)
+            typeDelay: 90, // ms trung bình giữa 2 phím
+            typeDelayVariance: 40,
+            typoRate: 0.03, // xác suất gõ sai mỗi ký tự
+            wheelStep: 120, // px mỗi lần lăn chuột
+            ...options
+        };
+
+        this.random = this.config.seed === null || this.config.seed === undefined
+            ? Math.random
+            : createRandom(this.config.seed);
+        this.position = null;
+    }
+
+    // ==================== MOUSE ====================
+
+    /**
+     * Di chuyển chuột theo đường cong Bezier tới (x, y)
+     */
+    async moveTo(x, y) {
+        const start = this.position || {
+            x: x + this._between(-200, 200),
+            y: y + this._between(-200, 200)
+        };
+        const path = this._bezierPath(start, { x, y });
+        const distance = Math.hypot(x - start.x, y - start.y);
+        const duration = (150 + distance * 0.6) / this.config.mouseSpeed;
+        const stepDelay = duration / path.length;
+
+        for (const point of path) {
+            await this.page.mouse.move(point.x, point.y);
+            await this._sleep(stepDelay * this._between(0.6, 1.4));
+        }
+
+        this.position = { x, y };
+    }
+
+    /**
+     * Di chuột tới điểm ngẫu nhiên trong element
+     * @param {object|null} point - { ratio: {x, y} } | { offset: {x, y} } chọn trước, null = ngẫu nhiên
+     * @returns {{x: number, y: number}} Điểm đã di tới
+     */
+    async moveToElement(element, point = null) {
+        const target = await this._pointInElement(element, point);
+        await this.moveTo(target.x, target.y);
+        return target;
+    }
+
+    /**
+     * Vị trí click ngẫu nhiên quanh tâm, tính theo tỉ lệ width / height (0 - 1)
+     * Chọn trước khi click để kiểm tra actionability đúng điểm sẽ click
+     */
+    randomRatio() {
+        const offset = this.config.clickOffset;
+        const clamp = (value) => Math.max(-offset, Math.min(offset, value));
+
+        return {
+            x: 0.5 + clamp(this._gaussian() * offset / 2),
+            y: 0.5 + clamp(this._gaussian() * offset / 2)
+        };
+    }
+
+    /**
+     * Click element tại điểm lệch tâm ngẫu nhiên
+     * @param {object} options - { button, clickCount, point }
+     */
+    async click(element, options = {}) {
+        const button = options.button || 'left';
+        const clickCount = options.clickCount || 1;
+
+        await this.moveToElement(element, options.point || null);
+        await this._sleep(this._between(40, 140));
+
+        for (let i = 1; i <= clickCount; i++) {
+            await this.page.mouse.down({ button, clickCount: i });
+            await this._sleep(this._between(40, 110));
+            await this.page.mouse.up({ button, clickCount: i });
+            if (i < clickCount) await this._sleep(this._between(60, 130));
+        }
+
+        return true;
+    }
+
+    /**
+     * Hover element
+     * @param {object} options - { point }
+     */
+    async hover(element, options = {}) {
+        await this.moveToElement(element, options.point || null);
+        return true;
+    }
+
+    /**
+     * Kéo thả giữa 2 element
+     * @param {object} options - { point } điểm bắt đầu kéo trong source
+     */
+    async dragAndDrop(source, target, options = {}) {
+        await this.moveToElement(source, options.point || null);
+        await this._sleep(this._between(80, 200));
+        await this.page.mouse.down();
+        await this._sleep(this._between(100, 250));
+
+        // Nhích nhẹ trước khi kéo để trigger dragstart
+        await this.moveTo(this.position.x + this._between(3, 8), this.position.y + this._between(3, 8));
+        await this.moveToElement(target);
+        await this._sleep(this._between(80, 200));
+        await this.page.mouse.up();
+
+        return true;
+    }
+
+    // ==================== SCROLL ====================
+
+    /**
+     * Cuộn bằng mouse wheel tới khi element nằm trong viewport
+     * @returns {Promise<boolean>} false nếu không tới được (hết maxSteps hoặc wheel không làm element dịch chuyển,
+     *   ví dụ element nằm trong container cuộn riêng) - caller tự fallback
+     */
+    async scrollIntoView(element, options = {}) {
+        const maxSteps = options.maxSteps || 50;
+        let previous = null;
+        let stuck = 0;
+
+        for (let i = 0; i < maxSteps; i++) {
+            const offset = await element.evaluate(el => {
+                const rect = el.getBoundingClientRect();
+                const height = window.innerHeight || document.documentElement.clientHeight;
+                const center = rect.top + rect.height / 2;
+                // Vùng an toàn: 20% - 80% chiều cao viewport
+                if (center >= height * 0.2 && center <= height * 0.8) return 0;
+                return center - height / 2;
+            });
+
+            if (offset === 0) return true;
+
+            stuck = previous !== null && Math.abs(offset - previous) < 1 ? stuck + 1 : 0;
+            if (stuck >= 3) return false;
+            previous = offset;
+
+            const step = Math.min(Math.abs(offset), this.config.wheelStep * this._between(0.7, 1.3));
+            await this._wheel(Math.sign(offset) * Math.round(step));
+            await this._sleep(this._between(60, 180));
+        }
+
+        return false;
+    }
+
+    // ==================== KEYBOARD ====================
+
+    /**
+     * Gõ text với delay biến thiên và lỗi gõ được sửa bằng Backspace
+     * Element cần được focus trước (click)
+     */
+    async type(text, options = {}) {
+        const typoRate = options.typoRate !== undefined ? options.typoRate : this.config.typoRate;
+
+        for (const char of String(text)) {
+            const typo = this._typoFor(char);
+
+            if (typo && this.random() < typoRate) {
+                await this.page.keyboard.type(typo);
+                await this._sleep(this._keyDelay() * this._between(1.5, 3));
+                await this.page.keyboard.press('Backspace');
+                await this._sleep(this._keyDelay());
+            }
+
+            await this.page.keyboard.type(char);
+
+            // Nghỉ lâu hơn sau dấu cách / dấu câu
+            const pause = /[\s.,!?;:]/.test(char) ? this._between(1.2, 2) : 1;
+            await this._sleep(this._keyDelay() * pause);
+        }
+
+        return true;
+    }
+
+    // ==================== PRIVATE HELPER METHODS ====================
+
+    /**
+     * Cubic Bezier với 2 control point lệch ngẫu nhiên khỏi đường thẳng + jitter
+     */
+    _bezierPath(start, end) {
+        const distance = Math.hypot(end.x - start.x, end.y - start.y);
+        const steps = Math.max(8, Math.min(60, Math.round(distance / this._between(8, 14))));
+        const spread = Math.max(distance * this._between(0.1, 0.3), 10);
+
+        // Vector vuông góc với đường thẳng start -> end
+        const normal = distance > 0
+            ? { x: -(end.y - start.y) / distance, y: (end.x - start.x) / distance }
+            : { x: 0, y: 0 };
+        const control = (t) => {
+            const offset = this._between(-spread, spread);
+            return {
+                x: start.x + (end.x - start.x) * t + normal.x * offset,
+                y: start.y + (end.y - start.y) * t + normal.y * offset
+            };
+        };
+        const p1 = control(this._between(0.2, 0.4));
+        const p2 = control(this._between(0.6, 0.8));
+
+        const points = [];
+        for (let i = 1; i <= steps; i++) {
+            // Ease in-out: chậm ở đầu và cuối
+            const linear = i / steps;
+            const t = linear < 0.5 ? 2 * linear * linear : 1 - Math.pow(-2 * linear + 2, 2) / 2;
+            const u = 1 - t;
+            const jitterX = i === steps ? 0 : this._between(-1, 1);
+            const jitterY = i === steps ? 0 : this._between(-1, 1);
+
+            points.push({
+                x: u * u * u * start.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * end.x + jitterX,
+                y: u * u * u * start.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * end.y + jitterY
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Điểm trong bounding box: point chọn trước hoặc ngẫu nhiên (phân phối chuẩn quanh tâm)
+     */
+    async _pointInElement(element, point = null) {
+        const box = await element.boundingBox();
+
+        if (!box) {
+            throw new Error('Element has no bounding box (not visible)');
+        }
+
+        if (point && point.offset) {
+            return { x: box.x + point.offset.x, y: box.y + point.offset.y };
+        }
+
+        const ratio = (point && point.ratio) || this.randomRatio();
+        return {
+            x: box.x + box.width * ratio.x,
+            y: box.y + box.height * ratio.y
+        };
+    }
+
+    /**
+     * Mouse wheel (Puppeteer: wheel({ deltaY }), Playwright: wheel(deltaX, deltaY))
+     */
+    async _wheel(deltaY) {
+        if (typeof this.page.context === 'function') {
+            await this.page.mouse.wheel(0, deltaY);
+        } else {
+            await this.page.mouse.wheel({ deltaY });
+        }
+    }
+
+    /**
+     * Phím kề để gõ sai, null nếu ký tự không có trong bảng
+     */
+    _typoFor(char) {
+        const lower = char.toLowerCase();
+        const neighbors = ADJACENT_KEYS[lower];
+        if (!neighbors) return null;
+
+        const typo = neighbors[Math.floor(this.random() * neighbors.length)];
+        return char === lower ? typo : typo.toUpperCase();
+    }
+
+    _keyDelay() {
+        return Math.max(15, this.config.typeDelay + this._gaussian() * this.config.typeDelayVariance);
+    }
+
+    _between(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Phân phối chuẩn N(0, 1) (Box-Muller)
+     */
+    _gaussian() {
+        const u = Math.max(this.random(), 1e-9);
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    async _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * PRNG mulberry32 (seed: number | string)
+ */
+function createRandom(seed) {
+    let state = typeof seed === 'number'
+        ? seed >>> 0
+        : Array.from(String(seed)).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = HumanInput;
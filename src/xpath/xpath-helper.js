@@ -1,11 +1,33 @@
 /**
  * XPath & Selector Helper - Modern Element Finder & Interaction Module
  * Supports: XPath, CSS Selector, Text, Attributes
+ * Chaining: `iframe#pay >> css=input[name=card]` (đi vào iframe / shadow root), `pierce/` (xuyên shadow DOM)
+ * Filters: `.item:visible:nth(2)`, `button:has-text("Buy")`, `input:near(text="Email")`
+ * Role (accessibility tree): `role=button[name="Submit"]`, `role=checkbox[checked]`, `role=heading[level=2]`
+ * Humanize (optional): mouse Bezier, click lệch tâm, gõ phím biến thiên, cuộn bằng wheel - xem human-input.js
+ * Actionability: mọi action chờ element attached / visible / stable / enabled / không bị che / editable
+ * trước khi thao tác (`force: true` để bỏ qua)
+ * Self-healing: selector dạng mảng `['#buy', 'text=Buy']` (thử lần lượt), fingerprint element lưu trong
+ * file JSON (`fingerprintFile`) -> khi mọi selector fail và bật `heal` thì tìm element giống nhất, emit 'selector:healed'
+ * (exists / isVisible / waitForDisappear không bao giờ heal)
+ * Scraping schema: `extract(schema)` chạy cả schema (nested list, XPath, transform, default) trong một page.evaluate,
+ * phân trang bằng nút Next / infinite scroll với `extractPaginated` / `extractInfiniteScroll`
  * Compatible with: Puppeteer, Playwright
  */
 
-class SelectorHelper {
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const HumanInput = require('./human-input');
+
+// Các bước kiểm tra actionability theo từng loại action (chạy theo thứ tự, dừng ở bước đầu tiên fail)
+const CLICK_CHECKS = ['attached', 'visible', 'stable', 'enabled', 'hitTarget'];
+const HOVER_CHECKS = ['attached', 'visible', 'stable', 'hitTarget'];
+const EDIT_CHECKS = ['attached', 'visible', 'stable', 'enabled', 'editable'];
+
+class SelectorHelper extends EventEmitter {
     constructor(page, options = {}) {
+        super();
         this.page = page;
         this.config = {
             defaultTimeout: options.defaultTimeout || 30000,
@@ -15,73 +37,109 @@ class SelectorHelper {
             waitForStable: options.waitForStable !== false,
             highlightElement: options.highlightElement || false,
             screenshotOnError: options.screenshotOnError || false,
+            humanize: options.humanize || false, // true | { seed, mouseSpeed, typeDelay, typoRate, ... }
+            actionTimeout: options.actionTimeout || 5000, // thời gian chờ element actionable
+            fingerprintFile: options.fingerprintFile || null, // file JSON lưu fingerprint, null = tắt
+            healThreshold: options.healThreshold || 0.6, // điểm tương đồng tối thiểu (0 - 1) để heal
+            heal: options.heal || false, // opt-in: heal bằng fingerprint khi mọi selector fail (config hoặc từng lần gọi)
             ...options
         };
 
+        this.human = null; // HumanInput dùng gần nhất
+        this._humans = new Map(); // JSON option humanize -> HumanInput
         this.lastError = null;
+        this._fingerprintStores = new Map(); // file -> { key (selector chính) -> fingerprint }, load lazy
+        this._fingerprinted = new Set(); // `${file}|${key}` đã ghi fingerprint trong phiên này
+        this._fingerprintWrite = Promise.resolve();
     }
 
     // ==================== CORE FINDER METHODS ====================
 
     /**
      * Universal element finder - tự động detect selector type
-     * @param {string} selector - XPath, CSS, hoặc text
+     * @param {string|string[]} selector - XPath, CSS, hoặc text; mảng = selector chính + fallback
      * @param {object} options - Tuỳ chọn
      * @returns {ElementHandle|null}
      */
     async find(selector, options = {}) {
+        const opts = {...this.config, ...options };
+
+        if (this._isHealing(selector, opts)) {
+            return await this._findWithHealing(selector, opts);
+        }
+
+        return await this._findOne(selector, opts);
+    }
+
+    /**
+     * Tìm tất cả elements matching selector
+     */
+    async findAll(selector, options = {}) {
+        // Mảng selector: lấy kết quả của selector đầu tiên có match
+        if (Array.isArray(selector)) {
+            for (const candidate of selector) {
+                const elements = await this.findAll(candidate, options);
+                if (elements.length > 0) return elements;
+            }
+            return [];
+        }
+
         const opts = {...this.config, ...options };
         const selectorType = this._detectSelectorType(selector);
 
         try {
-            let element;
-
             switch (selectorType) {
                 case 'xpath':
-                    element = await this._findByXPath(selector, opts);
-                    break;
+                    return await this._findAllByXPath(selector, opts);
                 case 'css':
-                    element = await this._findByCSS(selector, opts);
-                    break;
+                    return await this._findAllByCSS(selector, opts);
                 case 'text':
-                    element = await this._findByText(selector, opts);
-                    break;
+                    return await this._findAllByText(selector, opts);
+                case 'chain':
+                    return await this._findAllByChain(selector, opts);
                 default:
-                    throw new Error(`Unknown selector type: ${selectorType}`);
-            }
-
-            if (element && opts.highlightElement) {
-                await this._highlightElement(element);
+                    return [];
             }
-
-            return element;
         } catch (error) {
             await this._handleError(error, selector, opts);
-            return null;
+            return [];
         }
     }
 
     /**
-     * Tìm tất cả elements matching selector
+     * Find một selector (không fallback / heal)
      */
-    async findAll(selector, options = {}) {
-        const opts = {...this.config, ...options };
+    async _findOne(selector, opts) {
         const selectorType = this._detectSelectorType(selector);
 
         try {
+            let element;
+
             switch (selectorType) {
                 case 'xpath':
-                    return await this._findAllByXPath(selector, opts);
+                    element = await this._findByXPath(selector, opts);
+                    break;
                 case 'css':
-                    return await this._findAllByCSS(selector, opts);
+                    element = await this._findByCSS(selector, opts);
+                    break;
                 case 'text':
-                    return await this._findAllByText(selector, opts);
+                    element = await this._findByText(selector, opts);
+                    break;
+                case 'chain':
+                    element = await this._findByChain(selector, opts);
+                    break;
                 default:
-                    return [];
+                    throw new Error(`Unknown selector type: ${selectorType}`);
+            }
+
+            if (element && opts.highlightElement) {
+                await this._highlightElement(element);
             }
+
+            return element;
         } catch (error) {
             await this._handleError(error, selector, opts);
-            return [];
+            return null;
         }
     }
 
@@ -91,12 +149,13 @@ class SelectorHelper {
     async waitFor(selector, options = {}) {
         const opts = {...this.config, ...options };
         const timeout = opts.timeout || opts.defaultTimeout;
-        const selectorType = this._detectSelectorType(selector);
+        // Fallback / heal: find tự poll các candidate, chỉ heal khi đã hết timeout
+        const healing = this._isHealing(selector, opts);
 
         const startTime = Date.now();
 
         while (Date.now() - startTime < timeout) {
-            const element = await this.find(selector, {...opts, timeout: 0 });
+            const element = await this.find(selector, {...opts, timeout: healing ? timeout : 0 });
 
             if (element) {
                 // Wait for element to be stable (không move)
@@ -106,6 +165,8 @@ class SelectorHelper {
                 return element;
             }
 
+            if (healing) break;
+
             await this._sleep(opts.retryDelay);
         }
 
@@ -121,7 +182,7 @@ class SelectorHelper {
         const startTime = Date.now();
 
         while (Date.now() - startTime < timeout) {
-            const element = await this.find(selector, {...opts, timeout: 0 });
+            const element = await this.find(selector, {...opts, timeout: 0, heal: false });
 
             if (!element) {
                 return true;
@@ -139,24 +200,15 @@ class SelectorHelper {
      * Click element
      */
     async click(selector, options = {}) {
-        const opts = {...this.config, ...options };
-        const element = await this.waitFor(selector, opts);
-
-        if (!element) {
-            throw new Error(`Cannot find element to click: ${selector}`);
-        }
-
-        // Scroll into view if needed
-        if (opts.scrollIntoView) {
-            await this._scrollIntoView(element);
-        }
-
-        // Wait for clickable
-        await this._waitForClickable(element);
+        const { element, opts, human, point } = await this._prepareAction(selector, options, CLICK_CHECKS);
 
         // Click with retry
         await this._withRetry(async() => {
-            await element.click(opts.clickOptions || {});
+            if (human) {
+                await human.click(element, {...opts.clickOptions, point });
+            } else {
+                await element.click(opts.clickOptions || {});
+            }
         }, opts.retryAttempts);
 
         return true;
@@ -166,13 +218,13 @@ class SelectorHelper {
      * Double click
      */
     async doubleClick(selector, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element, human, point } = await this._prepareAction(selector, options, CLICK_CHECKS);
 
-        if (options.scrollIntoView) {
-            await this._scrollIntoView(element);
+        if (human) {
+            await human.click(element, { clickCount: 2, point });
+        } else {
+            await element.click({ clickCount: 2 });
         }
-
-        await element.click({ clickCount: 2 });
         return true;
     }
 
@@ -180,13 +232,13 @@ class SelectorHelper {
      * Right click (context menu)
      */
     async rightClick(selector, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element, human, point } = await this._prepareAction(selector, options, CLICK_CHECKS);
 
-        if (options.scrollIntoView) {
-            await this._scrollIntoView(element);
+        if (human) {
+            await human.click(element, { button: 'right', point });
+        } else {
+            await element.click({ button: 'right' });
         }
-
-        await element.click({ button: 'right' });
         return true;
     }
 
@@ -194,13 +246,13 @@ class SelectorHelper {
      * Hover over element
      */
     async hover(selector, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element, human, point } = await this._prepareAction(selector, options, HOVER_CHECKS);
 
-        if (options.scrollIntoView) {
-            await this._scrollIntoView(element);
+        if (human) {
+            await human.hover(element, { point });
+        } else {
+            await element.hover();
         }
-
-        await element.hover();
         return true;
     }
 
@@ -208,26 +260,25 @@ class SelectorHelper {
      * Type text vào input
      */
     async type(selector, text, options = {}) {
-        const opts = {
+        const { element, opts, human } = await this._prepareAction(selector, {
             clear: true,
             delay: 50,
-            ...this.config,
             ...options
-        };
-
-        const element = await this.waitFor(selector, opts);
-
-        if (opts.scrollIntoView) {
-            await this._scrollIntoView(element);
-        }
+        }, EDIT_CHECKS);
 
         // Clear existing text
         if (opts.clear) {
-            await this.clear(selector, { timeout: 0 });
+            await this._clearElement(element, human);
+        } else if (human) {
+            await human.click(element);
         }
 
         // Type with human-like delay
-        await element.type(text, { delay: opts.delay });
+        if (human) {
+            await human.type(text);
+        } else {
+            await element.type(text, { delay: opts.delay });
+        }
 
         // Optional: trigger change event
         if (opts.triggerChange) {
@@ -244,11 +295,8 @@ class SelectorHelper {
      * Clear input field
      */
     async clear(selector, options = {}) {
-        const element = await this.waitFor(selector, options);
-
-        await element.click({ clickCount: 3 }); // Select all
-        await this.page.keyboard.press('Backspace');
-
+        const { element, human } = await this._prepareAction(selector, options, EDIT_CHECKS);
+        await this._clearElement(element, human);
         return true;
     }
 
@@ -256,7 +304,7 @@ class SelectorHelper {
      * Set value directly (nhanh hơn type)
      */
     async setValue(selector, value, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element } = await this._prepareAction(selector, options, ['attached', 'enabled', 'editable']);
 
         await element.evaluate((el, val) => {
             if (el.tagName === 'SELECT') {
@@ -276,7 +324,7 @@ class SelectorHelper {
      * Select option from dropdown
      */
     async select(selector, value, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element } = await this._prepareAction(selector, options, ['attached', 'visible', 'enabled']);
 
         await element.evaluate((el, val) => {
             const option = Array.from(el.options).find(opt =>
@@ -296,22 +344,26 @@ class SelectorHelper {
      * Check/uncheck checkbox or radio
      */
     async check(selector, checked = true, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element, human, point } = await this._prepareAction(selector, options, CLICK_CHECKS);
 
         const isChecked = await element.evaluate(el => el.checked);
 
         if (isChecked !== checked) {
-            await element.click();
+            if (human) {
+                await human.click(element, { point });
+            } else {
+                await element.click();
+            }
         }
 
         return true;
     }
 
     /**
-     * Upload file
+     * Upload file (input file thường bị ẩn -> chỉ kiểm tra attached / enabled)
      */
     async uploadFile(selector, filePath, options = {}) {
-        const element = await this.waitFor(selector, options);
+        const { element } = await this._prepareAction(selector, { scrollIntoView: false, ...options }, ['attached', 'enabled']);
         await element.uploadFile(filePath);
         return true;
     }
@@ -420,38 +472,180 @@ class SelectorHelper {
 
     /**
      * Extract data từ nhiều elements
+     * fields: { key: '@attr' | 'text()' | 'css' | 'css@attr' | './/xpath' | field schema } - xem extract()
      */
     async extractList(selector, fields, options = {}) {
         const elements = await this.findAll(selector, options);
+        const schema = this._serializeSchema({ fields });
+        const results = new Array(elements.length);
+
+        // Gom element theo frame (chain có thể đi vào iframe), mỗi frame chạy runSchema một lần cho cả mảng
+        const groups = new Map();
+        for (let i = 0; i < elements.length; i++) {
+            const frame = await this._frameOf(elements[i]);
+            if (!groups.has(frame)) groups.set(frame, []);
+            groups.get(frame).push(i);
+        }
+
+        try {
+            for (const [frame, indexes] of groups) {
+                const group = indexes.map(i => elements[i]);
+                const listHandle = typeof this.page.context === 'function'
+                    ? await frame.evaluateHandle(list => list, group)
+                    : await frame.evaluateHandle((...list) => list, ...group);
+
+                try {
+                    const values = await listHandle.evaluate(runSchema, schema);
+                    indexes.forEach((index, j) => { results[index] = values[j]; });
+                } finally {
+                    await listHandle.dispose();
+                }
+            }
+        } finally {
+            await this._disposeHandles(elements);
+        }
+
+        return results;
+    }
+
+    /**
+     * Extract theo schema, toàn bộ chạy trong một page.evaluate
+     * schema: {
+     *   selector | xpath: item root (bỏ trống = cả page, trả về object thay vì mảng),
+     *   fields: {
+     *     title: 'h2',                                        // text của sub element
+     *     url: { selector: 'a', attr: 'href', transform: 'url' },
+     *     price: { selector: '.price', transform: 'number', default: 0 },
+     *     sku: { xpath: './/span[@data-sku]/@data-sku' },
+     *     id: { selector: '.code', transform: { regex: 'ID-(\\d+)', group: 1 } },
+     *     tags: { selector: '.tag', list: true },             // mảng giá trị
+     *     reviews: { selector: '.review', fields: { ... } }   // nested list
+     *   }
+     * }
+     * transform: 'trim' | 'number' | 'int' | 'date' | 'url' | 'lowercase' | 'uppercase' | RegExp | { regex, group, flags } | mảng
+     */
+    async extract(schema, options = {}) {
+        const frame = options.frame || this.page;
+        return await frame.evaluate(runSchema, this._serializeSchema(schema));
+    }
 
+    /**
+     * Extract qua nhiều trang bằng cách click nút Next tới khi nút bị disabled / biến mất
+     * options: { key, maxPages, pageTimeout, onItems(items, pageIndex) } - key: field hoặc function để loại trùng
+     * @returns {object[]} Kết quả đã gộp, không trùng
+     * @throws Lỗi giữa chừng (vd. click Next fail) có `error.partialResults` = các item đã lấy được
+     */
+    async extractPaginated(schema, nextSelector, options = {}) {
+        const opts = { maxPages: 100, pageTimeout: 10000, ...options };
+        const seen = new Set();
         const results = [];
 
-        for (const element of elements) {
-            const item = {};
-
-            for (const [key, fieldSelector] of Object.entries(fields)) {
-                if (fieldSelector.startsWith('@')) {
-                    // Attribute
-                    const attr = fieldSelector.substring(1);
-                    item[key] = await element.evaluate((el, a) => el.getAttribute(a), attr);
-                } else if (fieldSelector === 'text()') {
-                    // Text
-                    item[key] = await element.evaluate(el => el.textContent.trim());
-                } else if (fieldSelector.startsWith('.')) {
-                    // Relative selector
-                    const subElement = await element.$(fieldSelector);
-                    if (subElement) {
-                        item[key] = await subElement.evaluate(el => el.textContent.trim());
-                    }
-                } else {
-                    item[key] = await element.evaluate((el, sel) => {
-                        const sub = el.querySelector(sel);
-                        return sub ? sub.textContent.trim() : null;
-                    }, fieldSelector);
-                }
+        try {
+            let items = await this.extract(schema, opts);
+
+            for (let pageIndex = 0; pageIndex < opts.maxPages; pageIndex++) {
+                this._mergeItems(results, seen, items, opts, pageIndex);
+
+                if (pageIndex + 1 >= opts.maxPages) break;
+
+                const next = await this.find(nextSelector, {...opts, timeout: 1000, throwOnError: false, heal: false });
+                if (!next) break;
+
+                const disabled = await next.evaluate(el => !!el.closest('[disabled], [aria-disabled="true"], .disabled'));
+                await this._disposeHandles([next]);
+                if (disabled) break;
+
+                await this.click(nextSelector, opts);
+
+                // Trang không đổi trong pageTimeout -> dừng
+                items = await this._waitForNextPage(schema, items, opts);
+                if (!items) break;
             }
+        } catch (error) {
+            // Không mất các trang đã lấy (onItems cũng đã nhận từng trang)
+            error.partialResults = results;
+            throw error;
+        }
 
-            results.push(item);
+        return results;
+    }
+
+    /**
+     * Chờ nội dung trang mới: kết quả không rỗng (trang đang load / document trống), khác trang trước
+     * và giống nhau ở 2 lần đọc liên tiếp (render xong). Hết pageTimeout: trả về kết quả mới cuối cùng
+     * nếu có, null nếu trang không đổi
+     */
+    async _waitForNextPage(schema, previous, opts) {
+        const previousJson = JSON.stringify(previous);
+        const startTime = Date.now();
+        let candidate = null;
+        let candidateJson = null;
+
+        while (Date.now() - startTime < opts.pageTimeout) {
+            await this._sleep(200);
+
+            let items;
+            try {
+                items = await this.extract(schema, opts);
+            } catch (_) {
+                continue; // Đang navigate
+            }
+
+            const json = JSON.stringify(items);
+            if (json === previousJson || this._isEmptyResult(items)) continue;
+            if (json === candidateJson) return items;
+
+            candidate = items;
+            candidateJson = json;
+        }
+
+        return candidate;
+    }
+
+    /**
+     * Kết quả extract rỗng: mảng không có item, object mọi field trống
+     */
+    _isEmptyResult(items) {
+        if (items === null || items === undefined) return true;
+        if (Array.isArray(items)) return items.length === 0;
+        if (typeof items !== 'object') return items === '';
+        return Object.values(items).every(value => this._isEmptyResult(value));
+    }
+
+    /**
+     * Frame chứa element (Playwright: ownerFrame(), Puppeteer: element.frame)
+     */
+    async _frameOf(element) {
+        if (typeof element.ownerFrame === 'function') return (await element.ownerFrame()) || this.page;
+        return element.frame || this.page;
+    }
+
+    /**
+     * Extract trang infinite scroll: cuộn xuống cuối tới khi không còn item mới
+     * options: { key, maxScrolls, delay, idleRounds, scrollContainer, onItems(items, round) }
+     * @returns {object[]} Kết quả đã gộp, không trùng
+     */
+    async extractInfiniteScroll(schema, options = {}) {
+        const opts = { maxScrolls: 50, delay: 1000, idleRounds: 2, ...options };
+        const seen = new Set();
+        const results = [];
+        let idle = 0;
+
+        for (let round = 0; round <= opts.maxScrolls; round++) {
+            const added = this._mergeItems(results, seen, await this.extract(schema, opts), opts, round);
+
+            idle = added > 0 ? 0 : idle + 1;
+            if (idle >= opts.idleRounds || round === opts.maxScrolls) break;
+
+            if (opts.scrollContainer) {
+                const container = await this.find(opts.scrollContainer, opts);
+                if (!container) break;
+                await container.evaluate(el => { el.scrollTop = el.scrollHeight; });
+            } else {
+                await this.page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+            }
+
+            await this._sleep(opts.delay);
         }
 
         return results;
@@ -459,26 +653,75 @@ class SelectorHelper {
 
     /**
      * Extract table data
+     * rowspan / colspan được bung ra (giá trị lặp lại ở mọi ô bị gộp), nhiều dòng header được ghép
+     * theo cột bằng headerSeparator (mặc định ' / ', vd. 'Giá / USD'), header trùng tên -> 'Name_2'
      */
     async extractTable(selector, options = {}) {
         const tableElement = await this.find(selector, options);
 
         if (!tableElement) return null;
 
-        return await tableElement.evaluate(table => {
-            const headers = Array.from(table.querySelectorAll('thead th, thead td')).map(th =>
-                th.textContent.trim()
-            );
+        return await tableElement.evaluate((table, separator) => {
+            // Bung rowspan / colspan thành lưới đầy đủ
+            const toGrid = (rows) => {
+                const grid = rows.map(() => []);
+                rows.forEach((tr, r) => {
+                    let c = 0;
+                    for (const cell of Array.from(tr.cells)) {
+                        while (grid[r][c] !== undefined) c++;
+                        const text = cell.textContent.replace(/\s+/g, ' ').trim();
+                        const rowSpan = cell.rowSpan === 0 ? rows.length - r : Math.max(cell.rowSpan || 1, 1);
+                        const colSpan = Math.max(cell.colSpan || 1, 1);
+
+                        for (let dr = 0; dr < rowSpan && r + dr < rows.length; dr++) {
+                            for (let dc = 0; dc < colSpan; dc++) {
+                                grid[r + dr][c + dc] = text;
+                            }
+                        }
+                        c += colSpan;
+                    }
+                });
+                return grid;
+            };
 
-            const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr => {
-                const cells = Array.from(tr.querySelectorAll('td, th')).map(td =>
-                    td.textContent.trim()
-                );
+            // Không có thead: các dòng đầu chỉ gồm <th> là header
+            const bodyRows = Array.from(table.tBodies).flatMap(tbody => Array.from(tbody.rows));
+            const headerRows = table.tHead ? Array.from(table.tHead.rows) : [];
+            if (headerRows.length === 0) {
+                while (bodyRows.length > 0 && bodyRows[0].cells.length > 0 &&
+                    Array.from(bodyRows[0].cells).every(cell => cell.tagName === 'TH')) {
+                    headerRows.push(bodyRows.shift());
+                }
+            }
+
+            const headerGrid = toGrid(headerRows);
+            const bodyGrid = toGrid(bodyRows);
+            const width = Math.max(0, ...headerGrid.concat(bodyGrid).map(row => row.length));
+
+            const headers = [];
+            if (headerGrid.length > 0) {
+                for (let c = 0; c < width; c++) {
+                    // Bỏ phần lặp lại do rowspan / colspan
+                    const parts = [];
+                    for (const row of headerGrid) {
+                        const text = row[c] || '';
+                        if (text && parts[parts.length - 1] !== text) parts.push(text);
+                    }
+
+                    const name = parts.join(separator) || `Column ${c + 1}`;
+                    let unique = name;
+                    for (let i = 2; headers.includes(unique); i++) unique = `${name}_${i}`;
+                    headers.push(unique);
+                }
+            }
+
+            const rows = bodyGrid.map(grid => {
+                const cells = Array.from({ length: width }, (_, i) => grid[i] !== undefined ? grid[i] : '');
 
                 if (headers.length > 0) {
                     const rowData = {};
                     headers.forEach((header, i) => {
-                        rowData[header] = cells[i] || '';
+                        rowData[header] = cells[i];
                     });
                     return rowData;
                 }
@@ -490,7 +733,7 @@ class SelectorHelper {
                 headers,
                 rows
             };
-        });
+        }, options.headerSeparator || ' / ');
     }
 
     // ==================== VALIDATION & CHECKING METHODS ====================
@@ -500,7 +743,7 @@ class SelectorHelper {
      */
     async exists(selector, options = {}) {
         try {
-            const element = await this.find(selector, {...options, timeout: 1000 });
+            const element = await this.find(selector, {...options, timeout: 1000, heal: false });
             return element !== null;
         } catch {
             return false;
@@ -511,7 +754,7 @@ class SelectorHelper {
      * Check if element is visible
      */
     async isVisible(selector, options = {}) {
-        const element = await this.find(selector, options);
+        const element = await this.find(selector, {...options, heal: false });
 
         if (!element) return false;
 
@@ -576,7 +819,7 @@ class SelectorHelper {
             throw new Error(`Cannot find element to scroll to: ${selector}`);
         }
 
-        await this._scrollIntoView(element, options.scrollOptions);
+        await this._scrollIntoView(element, options.scrollOptions, this._human({...this.config, ...options }));
         return true;
     }
 
@@ -584,8 +827,12 @@ class SelectorHelper {
      * Drag and drop
      */
     async dragAndDrop(sourceSelector, targetSelector, options = {}) {
-        const source = await this.waitFor(sourceSelector, options);
-        const target = await this.waitFor(targetSelector, options);
+        const { element: source, human, point } = await this._prepareAction(sourceSelector, options, HOVER_CHECKS);
+        const { element: target } = await this._prepareAction(targetSelector, options, ['attached', 'visible', 'stable']);
+
+        if (human) {
+            return await human.dragAndDrop(source, target, { point });
+        }
 
         const sourceBox = await source.boundingBox();
         const targetBox = await target.boundingBox();
@@ -622,12 +869,7 @@ class SelectorHelper {
      * Focus element
      */
     async focus(selector, options = {}) {
-        const element = await this.find(selector, options);
-
-        if (!element) {
-            throw new Error(`Cannot find element to focus: ${selector}`);
-        }
-
+        const { element } = await this._prepareAction(selector, { scrollIntoView: false, ...options }, ['attached']);
         await element.focus();
         return true;
     }
@@ -645,12 +887,217 @@ class SelectorHelper {
         return await element.evaluate(fn, ...args);
     }
 
+    // ==================== SCHEMA HELPERS ====================
+
+    /**
+     * Gộp item mới vào results, bỏ item trùng key (mặc định: toàn bộ item)
+     * @returns {number} Số item mới
+     */
+    _mergeItems(results, seen, items, opts, index) {
+        const list = Array.isArray(items) ? items : [items];
+        const keyOf = typeof opts.key === 'function'
+            ? opts.key
+            : (item) => opts.key ? JSON.stringify(item[opts.key]) : JSON.stringify(item);
+
+        const added = [];
+        for (const item of list) {
+            const key = keyOf(item);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            results.push(item);
+            added.push(item);
+        }
+
+        if (added.length > 0 && opts.onItems) opts.onItems(added, index);
+        return added.length;
+    }
+
+    /**
+     * RegExp không serialize được qua evaluate -> { regex, flags }
+     */
+    _serializeSchema(schema) {
+        const convertTransform = (transform) => {
+            if (Array.isArray(transform)) return transform.map(convertTransform);
+            if (transform instanceof RegExp) return { regex: transform.source, flags: transform.flags };
+            if (transform && transform.regex instanceof RegExp) {
+                return {...transform, regex: transform.regex.source, flags: transform.flags || transform.regex.flags };
+            }
+            return transform;
+        };
+
+        const convertFields = (fields) => Object.fromEntries(Object.entries(fields || {}).map(([key, field]) => {
+            if (!field || typeof field !== 'object') return [key, field];
+            const converted = {...field };
+            if (field.transform !== undefined) converted.transform = convertTransform(field.transform);
+            if (field.fields) converted.fields = convertFields(field.fields);
+            return [key, converted];
+        }));
+
+        return {...schema, fields: convertFields(schema.fields) };
+    }
+
+    // ==================== SELF-HEALING ====================
+
+    /**
+     * Fingerprint đã lưu của selector (key = selector chính)
+     * @param {string} file - Mặc định config.fingerprintFile
+     */
+    getFingerprint(selector, file = this.config.fingerprintFile) {
+        const key = Array.isArray(selector) ? selector[0] : selector;
+        return this._loadFingerprints(file)[key] || null;
+    }
+
+    /**
+     * Ghi fingerprint ra file (mặc định config.fingerprintFile)
+     */
+    async saveFingerprints(file = this.config.fingerprintFile) {
+        if (!file) return null;
+
+        const content = JSON.stringify(this._loadFingerprints(file), null, 2);
+        // Ghi tuần tự để các lần find song song không ghi đè lẫn nhau
+        this._fingerprintWrite = this._fingerprintWrite.then(async() => {
+            await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+            await fs.promises.writeFile(file, content);
+        });
+        await this._fingerprintWrite;
+        return file;
+    }
+
+    _isHealing(selector, opts) {
+        return Array.isArray(selector) || !!opts.fingerprintFile;
+    }
+
+    /**
+     * Thử lần lượt các selector tới khi hết timeout, sau đó heal bằng fingerprint (chỉ khi opts.heal)
+     * timeout: 0 = mỗi selector chỉ thử một lần
+     */
+    async _findWithHealing(selector, opts) {
+        const candidates = Array.isArray(selector) ? selector : [selector];
+        const key = candidates[0];
+        const timeout = opts.timeout === 0 ? 0 : (opts.timeout || opts.defaultTimeout);
+        const startTime = Date.now();
+
+        if (candidates.length === 1) {
+            // Một selector: giữ nguyên cách chờ của selector đó
+            const element = await this._findOne(key, opts);
+            if (element) {
+                await this._recordFingerprint(key, element, opts, false);
+                return element;
+            }
+        } else {
+            do {
+                for (let i = 0; i < candidates.length; i++) {
+                    const element = await this._findOne(candidates[i], {...opts, timeout: 1, throwOnError: false });
+                    if (!element) continue;
+
+                    if (i > 0) {
+                        this._emitHealed({ selector: key, healedSelector: candidates[i], strategy: 'fallback', score: null });
+                    }
+                    // Selector chính fail -> cấu trúc đã đổi, cập nhật fingerprint theo element tìm được
+                    await this._recordFingerprint(key, element, opts, i > 0);
+                    return element;
+                }
+
+                if (Date.now() - startTime >= timeout) break;
+                await this._sleep(opts.retryDelay);
+            } while (Date.now() - startTime < timeout);
+        }
+
+        return opts.heal ? await this._healByFingerprint(key, opts) : null;
+    }
+
+    /**
+     * Element giống fingerprint nhất (điểm >= healThreshold), null nếu không có fingerprint / không đủ giống
+     */
+    async _healByFingerprint(key, opts) {
+        const fingerprint = opts.fingerprintFile ? this._loadFingerprints(opts.fingerprintFile)[key] : null;
+        if (!fingerprint) return null;
+
+        const result = await this.page.evaluateHandle(findBestMatch, fingerprint);
+        const properties = await result.getProperties();
+        const elementHandle = properties.get('element');
+        const element = elementHandle ? elementHandle.asElement() : null;
+        const score = properties.has('score') ? await properties.get('score').jsonValue() : 0;
+        const healedSelector = properties.has('path') ? await properties.get('path').jsonValue() : null;
+
+        // Chỉ giữ handle của element đã heal
+        const matched = element && score >= opts.healThreshold;
+        await this._disposeHandles([result, ...Array.from(properties.values()).filter(handle => !matched || handle !== elementHandle)]);
+        if (!matched) return null;
+
+        this._emitHealed({ selector: key, healedSelector, strategy: 'fingerprint', score, fingerprint });
+        await this._recordFingerprint(key, element, opts, true);
+        return element;
+    }
+
+    _emitHealed(info) {
+        this.emit('selector:healed', info);
+        if (this.config.debug) {
+            console.log(`[SelectorHelper] healed: ${info.selector} -> ${info.healedSelector} (${info.strategy})`);
+        }
+    }
+
+    /**
+     * Cập nhật fingerprint của selector chính
+     * Không evaluate ở mọi lần find: selector chính match -> chỉ lần đầu trong phiên;
+     * changed (fallback / heal, tức cấu trúc đã đổi) -> luôn cập nhật.
+     * Chỉ ghi file khi cấu trúc đổi (tag / attributes / class / path); text thay đổi liên tục (giá, số lượng...)
+     * nên chỉ cập nhật trong bộ nhớ, được ghi cùng lần ghi sau hoặc saveFingerprints()
+     */
+    async _recordFingerprint(key, element, opts, changed) {
+        const file = opts.fingerprintFile;
+        if (!file) return;
+
+        const recordedKey = `${file}|${key}`;
+        if (!changed && this._fingerprinted.has(recordedKey)) return;
+        this._fingerprinted.add(recordedKey);
+
+        const fingerprint = await element.evaluate(elementFingerprint);
+        const store = this._loadFingerprints(file);
+        const previous = store[key];
+        const structure = (fp) => JSON.stringify({...fp, text: null, updatedAt: null });
+
+        if (previous && structure(previous) === structure(fingerprint)) {
+            if (previous.text !== fingerprint.text) store[key] = fingerprint;
+            return;
+        }
+
+        store[key] = fingerprint;
+        await this.saveFingerprints(file);
+    }
+
+    /**
+     * Fingerprint store của file (cache theo file, file không tồn tại -> store rỗng)
+     */
+    _loadFingerprints(file = this.config.fingerprintFile) {
+        if (!file) return {};
+
+        const resolved = path.resolve(file);
+        if (this._fingerprintStores.has(resolved)) return this._fingerprintStores.get(resolved);
+
+        let store = {};
+        if (fs.existsSync(resolved)) {
+            try {
+                store = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid fingerprint file: ${file} (${error.message})`);
+            }
+        }
+
+        this._fingerprintStores.set(resolved, store);
+        return store;
+    }
+
     // ==================== PRIVATE HELPER METHODS ====================
 
     /**
      * Detect selector type
      */
     _detectSelectorType(selector) {
+        if (this._isChainSelector(selector)) {
+            return 'chain';
+        }
+
         if (selector.startsWith('//') || selector.startsWith('(//')) {
             return 'xpath';
         }
@@ -756,44 +1203,598 @@ class SelectorHelper {
     }
 
     /**
-     * Scroll element into view
+     * Selector dùng engine chain: có `>>` hoặc prefix css= / xpath= / pierce/
      */
-    async _scrollIntoView(element, options = {}) {
-        await element.evaluate((el, opts) => {
-            el.scrollIntoView({
-                behavior: opts.behavior || 'smooth',
-                block: opts.block || 'center',
-                inline: opts.inline || 'center'
-            });
-        }, options);
-
-        await this._sleep(300); // Wait for scroll animation
+    _isChainSelector(selector) {
+        if (/^(css=|xpath=|pierce\/|role=)/.test(selector)) return true;
+        const segments = this._splitChain(selector);
+        return segments.length > 1 || this._extractFilters(segments[0] || '').filters.length > 0;
     }
 
     /**
-     * Wait for element to be clickable
+     * Split `a >> b >> c`, bỏ qua `>>` nằm trong quote / [] / ()
      */
-    async _waitForClickable(element, timeout = 5000) {
-        const startTime = Date.now();
-
-        while (Date.now() - startTime < timeout) {
-            const isClickable = await element.evaluate(el => {
-                const rect = el.getBoundingClientRect();
-                const style = window.getComputedStyle(el);
-
-                return rect.width > 0 &&
-                    rect.height > 0 &&
-                    style.visibility !== 'hidden' &&
-                    style.display !== 'none' &&
-                    !el.disabled;
-            });
+    _splitChain(selector) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (let i = 0; i < selector.length; i++) {
+            const char = selector[i];
+
+            if (quote) {
+                if (char === '\\') {
+                    current += char + (selector[i + 1] || '');
+                    i++;
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (depth === 0 && selector.startsWith('>>', i)) {
+                parts.push(current.trim());
+                current = '';
+                i++;
+                continue;
+            }
+
+            current += char;
+        }
+
+        parts.push(current.trim());
+        return parts.filter(Boolean);
+    }
+
+    /**
+     * Parse một segment -> { engine, body, filters }
+     */
+    _parseSegment(segment) {
+        const { selector, filters } = this._extractFilters(segment);
+        const parsed = (engine, body) => ({ engine, body, filters });
+
+        if (selector.startsWith('css=')) return parsed('css', selector.slice(4));
+        if (selector.startsWith('xpath=')) return parsed('xpath', selector.slice(6));
+        if (selector.startsWith('pierce/')) return parsed('pierce', selector.slice(7));
+        if (selector.startsWith('role=')) return parsed('role', selector.slice(5));
+        if (/^text[=:]/.test(selector)) return parsed('text', selector.slice(5));
+        if (/^\(*\.?\/\//.test(selector)) return parsed('xpath', selector);
+        return parsed('css', selector);
+    }
+
+    /**
+     * Tách filter ở cuối segment: `div.item:visible:nth(1)` -> { selector: 'div.item', filters: [{ name, arg }] }
+     * Chỉ nhận :visible / :nth() / :has-text() / :near(), pseudo-class CSS khác giữ nguyên
+     */
+    _extractFilters(segment) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = 0; i < segment.length; i++) {
+            const char = segment[i];
+
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                const filters = this._parseFilters(segment.slice(i));
+                if (filters) return { selector: segment.slice(0, i).trim(), filters };
+            }
+        }
 
-            if (isClickable) return true;
+        return { selector: segment, filters: [] };
+    }
 
+    /**
+     * `:visible:nth(2)` -> [{ name: 'visible' }, { name: 'nth', arg: '2' }], null nếu có phần không phải filter
+     */
+    _parseFilters(text) {
+        const filters = [];
+        let rest = text;
+
+        while (rest.length > 0) {
+            const match = rest.match(/^:(visible|nth|has-text|near)\b/);
+            if (!match) return null;
+
+            const name = match[1];
+            rest = rest.slice(match[0].length);
+
+            if (name === 'visible') {
+                filters.push({ name });
+                continue;
+            }
+
+            if (!rest.startsWith('(')) return null;
+            const end = this._matchParen(rest);
+            if (end === -1) return null;
+
+            filters.push({ name, arg: rest.slice(1, end).trim() });
+            rest = rest.slice(end + 1);
+        }
+
+        return filters;
+    }
+
+    /**
+     * Vị trí dấu `)` đóng cho `(` ở đầu text, -1 nếu không có
+     */
+    _matchParen(text) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Bỏ quote bao ngoài: "Buy" -> Buy
+     */
+    _unquote(value) {
+        const match = value.match(/^(["'])([\s\S]*)\1$/);
+        return match ? match[2] : value;
+    }
+
+    /**
+     * Find by chained selector (poll tới khi có element hoặc hết timeout)
+     */
+    async _findByChain(selector, options) {
+        const [element, ...rest] = await this._pollChain(selector, options);
+        await this._disposeHandles(rest);
+        return element || null;
+    }
+
+    /**
+     * Find all by chained selector
+     */
+    async _findAllByChain(selector, options) {
+        return await this._resolveChain(selector);
+    }
+
+    /**
+     * timeout: 0 = chỉ thử một lần (waitFor tự poll)
+     */
+    async _pollChain(selector, options) {
+        const timeout = options.timeout === 0 ? 0 : (options.timeout || this.config.defaultTimeout);
+        const startTime = Date.now();
+
+        while (true) {
+            try {
+                const elements = await this._resolveChain(selector);
+                if (elements.length > 0) return elements;
+            } catch (error) {
+                // Frame navigate / detach giữa chừng - thử lại
+                if (!/detached|destroyed|Target closed/i.test(error.message)) throw error;
+            }
+
+            if (Date.now() - startTime >= timeout) return [];
             await this._sleep(100);
         }
+    }
+
+    /**
+     * Resolve từng segment: kết quả là <iframe> -> segment sau tìm trong contentFrame,
+     * element có shadow root mở -> tìm trong shadow root rồi light DOM
+     * Handle trung gian (iframe, shadow host, scope) được dispose, chỉ trả về handle của segment cuối
+     */
+    async _resolveChain(selector) {
+        const segments = this._splitChain(selector).map(segment => this._parseSegment(segment));
+        let scopes = [{ frame: this.page, element: null }];
+
+        for (let i = 0; i < segments.length; i++) {
+            const isLast = i === segments.length - 1;
+            const next = [];
+
+            try {
+                for (const scope of scopes) {
+                    const elements = await this._querySegment(scope, segments[i]);
+
+                    for (let j = 0; j < elements.length; j++) {
+                        const element = elements[j];
+                        if (isLast) {
+                            next.push(element);
+                            continue;
+                        }
+
+                        try {
+                            const isFrame = await element.evaluate(el => el.tagName === 'IFRAME' || el.tagName === 'FRAME');
+                            if (isFrame) {
+                                const frame = await element.contentFrame();
+                                await element.dispose();
+                                if (frame) next.push({ frame, element: null });
+                            } else {
+                                next.push({ frame: scope.frame, element });
+                            }
+                        } catch (error) {
+                            await this._disposeHandles(elements.slice(j));
+                            throw error;
+                        }
+                    }
+                }
+            } catch (error) {
+                await this._disposeHandles(next.map(item => (isLast ? item : item.element)));
+                throw error;
+            } finally {
+                await this._disposeHandles(scopes.map(scope => scope.element));
+            }
+
+            if (isLast || next.length === 0) return next;
+            scopes = next;
+        }
+
+        return [];
+    }
+
+    /**
+     * Dispose handle không còn dùng (bỏ qua null / handle đã dispose)
+     */
+    async _disposeHandles(handles) {
+        await Promise.all(handles.filter(Boolean).map(handle => handle.dispose().catch(() => {})));
+    }
+
+    /**
+     * Chạy querySelectorEngine trong page/frame hoặc dưới element, trả về ElementHandle[]
+     */
+    async _querySegment(scope, segment) {
+        const elements = segment.engine === 'role'
+            ? await this._queryRole(scope, segment.body)
+            : await this._queryEngine(scope, segment);
+
+        return await this._applyFilters(elements, segment.filters || []);
+    }
+
+    /**
+     * querySelectorEngine (css / xpath / text / pierce)
+     */
+    async _queryEngine(scope, segment) {
+        const args = { engine: segment.engine, body: segment.body };
+        const arrayHandle = scope.element
+            ? await scope.element.evaluateHandle(querySelectorEngine, args)
+            : await scope.frame.evaluateHandle(querySelectorEngine, args);
+
+        const properties = await arrayHandle.getProperties();
+        const elements = [];
+
+        for (const handle of properties.values()) {
+            const element = handle.asElement();
+            if (element) elements.push(element);
+            else await handle.dispose();
+        }
+
+        await arrayHandle.dispose();
+        return elements;
+    }
+
+    /**
+     * role=button[name="Submit"] qua accessibility tree
+     * Playwright: engine role= có sẵn; Puppeteer: aria/Submit[role="button"], các thuộc tính
+     * checked / selected / expanded / pressed / disabled / level được lọc thêm trong page
+     */
+    async _queryRole(scope, body) {
+        const root = scope.element || scope.frame;
+
+        if (typeof this.page.context === 'function') {
+            return await root.$$(`role=${body}`);
+        }
+
+        const { role, name, states } = this._parseRoleSelector(body);
+        const elements = await root.$$(`aria/${name}[role="${role}"]`);
+        if (Object.keys(states).length === 0) return elements;
+
+        const flags = await Promise.all(elements.map(el => el.evaluate(matchesAriaState, states)));
+        await this._disposeHandles(elements.filter((el, i) => !flags[i]));
+        return elements.filter((el, i) => flags[i]);
+    }
+
+    /**
+     * `button[name="Buy"][pressed=false]` -> { role, name, states }
+     * Thuộc tính không hỗ trợ -> throw (không âm thầm bỏ qua)
+     */
+    _parseRoleSelector(body) {
+        const match = body.match(/^([\w-]+)\s*(.*)$/);
+        if (!match) throw new Error(`Invalid role selector: role=${body}`);
+
+        const [, role, attributes] = match;
+        const attributeRegex = /\[\s*([\w-]+)\s*(?:=\s*(?:(["'])([\s\S]*?)\2|([^\]\s]+)))?\s*\]/g;
+        const states = {};
+        let name = '';
+        let consumed = '';
+        let attr;
+
+        while ((attr = attributeRegex.exec(attributes)) !== null) {
+            consumed += attr[0];
+            const key = attr[1];
+            const value = attr[3] !== undefined ? attr[3] : attr[4];
+
+            if (key === 'name') {
+                if (value === undefined) throw new Error(`Invalid role selector: role=${body} ([name] requires a value)`);
+                name = value;
+            } else if (['checked', 'selected', 'expanded', 'pressed', 'disabled'].includes(key)) {
+                if (value === undefined || value === 'true') states[key] = true;
+                else if (value === 'false') states[key] = false;
+                else if (value === 'mixed' && (key === 'checked' || key === 'pressed')) states[key] = 'mixed';
+                else throw new Error(`Invalid role selector: role=${body} ([${key}] must be true, false${key === 'checked' || key === 'pressed' ? ' or mixed' : ''})`);
+            } else if (key === 'level') {
+                const level = Number(value);
+                if (!Number.isInteger(level) || level < 1) throw new Error(`Invalid role selector: role=${body} ([level] must be a positive integer)`);
+                states.level = level;
+            } else {
+                throw new Error(`Unsupported role selector attribute [${key}] in role=${body} (supported: name, checked, selected, expanded, pressed, disabled, level)`);
+            }
+        }
+
+        if (consumed.replace(/\s+/g, '') !== attributes.replace(/\s+/g, '')) {
+            throw new Error(`Invalid role selector: role=${body}`);
+        }
+
+        return { role, name, states };
+    }
+
+    /**
+     * Áp filter theo thứ tự viết trong selector
+     */
+    async _applyFilters(elements, filters) {
+        let result = elements;
+
+        for (const filter of filters) {
+            const before = result;
+            try {
+                result = await this._applyFilter(result, filter);
+            } catch (error) {
+                await this._disposeHandles(before);
+                throw error;
+            }
+            await this._disposeHandles(before.filter(el => !result.includes(el)));
+        }
+
+        return result;
+    }
+
+    /**
+     * Một filter: trả về các element giữ lại
+     */
+    async _applyFilter(elements, filter) {
+        let result = elements;
+
+        switch (filter.name) {
+            case 'visible': {
+                const flags = await Promise.all(result.map(el => el.evaluate(isElementVisible)));
+                result = result.filter((el, i) => flags[i]);
+                break;
+            }
+            case 'has-text': {
+                // Không phân biệt hoa thường, gộp khoảng trắng (giống Playwright)
+                const text = this._unquote(filter.arg);
+                const flags = await Promise.all(result.map(el => el.evaluate((node, expected) => {
+                    const normalize = (value) => value.replace(/\s+/g, ' ').trim().toLowerCase();
+                    return normalize(node.innerText || node.textContent || '').includes(normalize(expected));
+                }, text)));
+                result = result.filter((el, i) => flags[i]);
+                break;
+            }
+            case 'nth': {
+                // 0-based, -1 = phần tử cuối
+                const index = parseInt(filter.arg, 10);
+                const element = result[index < 0 ? result.length + index : index];
+                result = element ? [element] : [];
+                break;
+            }
+            case 'near':
+                result = await this._filterNear(result, filter.arg);
+                break;
+            default:
+                throw new Error(`Unknown selector filter: :${filter.name}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * :near(selector, maxDistance = 50) - giữ element cách anchor <= maxDistance px, gần nhất trước
+     */
+    async _filterNear(elements, arg) {
+        const parts = this._splitArgs(arg);
+        const maxDistance = parts[1] !== undefined ? Number(parts[1]) : 50;
+        const anchors = await this._resolveChain(this._unquote(parts[0]));
+
+        const anchorBoxes = (await Promise.all(anchors.map(el => el.boundingBox()))).filter(Boolean);
+        await this._disposeHandles(anchors);
+        if (anchorBoxes.length === 0) return [];
+
+        const scored = [];
+        for (const element of elements) {
+            const box = await element.boundingBox();
+            if (!box) continue;
+
+            const distance = Math.min(...anchorBoxes.map(anchor => this._boxDistance(box, anchor)));
+            const isAnchor = anchorBoxes.some(a => a.x === box.x && a.y === box.y && a.width === box.width && a.height === box.height);
+            if (!isAnchor && distance <= maxDistance) scored.push({ element, distance });
+        }
+
+        return scored.sort((a, b) => a.distance - b.distance).map(item => item.element);
+    }
+
+    /**
+     * Khoảng cách giữa 2 box (0 nếu chồng lên nhau)
+     */
+    _boxDistance(a, b) {
+        const dx = Math.max(b.x - (a.x + a.width), a.x - (b.x + b.width), 0);
+        const dy = Math.max(b.y - (a.y + a.height), a.y - (b.y + b.height), 0);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Split argument theo dấu phẩy ngoài quote / ngoặc: `text="a, b", 80` -> ['text="a, b"', '80']
+     */
+    _splitArgs(arg) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (const char of arg) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        parts.push(current.trim());
+        return parts;
+    }
+
+    /**
+     * HumanInput khi bật humanize (config hoặc từng lần gọi), null nếu tắt
+     * Mỗi bộ option humanize có instance riêng (giữ chuỗi seed), vị trí chuột dùng chung
+     */
+    _human(options) {
+        if (!options.humanize) return null;
+
+        const humanOptions = typeof options.humanize === 'object' ? options.humanize : {};
+        const key = JSON.stringify(humanOptions);
+        let human = this._humans.get(key);
+
+        if (!human) {
+            human = new HumanInput(this.page, humanOptions);
+            this._humans.set(key, human);
+        }
+        if (this.human && this.human !== human) human.position = this.human.position;
+
+        this.human = human;
+        return human;
+    }
+
+    /**
+     * Scroll element into view (humanize: cuộn bằng mouse wheel, không tới được thì scrollIntoView)
+     */
+    async _scrollIntoView(element, options = {}, human = null) {
+        if (human && await human.scrollIntoView(element)) {
+            return;
+        }
+
+        await element.evaluate((el, opts) => {
+            el.scrollIntoView({
+                behavior: opts.behavior || 'smooth',
+                block: opts.block || 'center',
+                inline: opts.inline || 'center'
+            });
+        }, options);
 
-        throw new Error('Element is not clickable');
+        await this._sleep(300); // Wait for scroll animation
+    }
+
+    /**
+     * Chuẩn bị cho action: tìm element, cuộn vào view, chờ actionable (bỏ qua khi force: true)
+     * point: điểm sẽ click ({ offset } từ clickOptions.offset, { ratio } ngẫu nhiên khi humanize, null = tâm),
+     * chọn trước để hitTarget kiểm tra đúng điểm đó
+     * @returns {{element: ElementHandle, opts: object, human: HumanInput|null, point: object|null}}
+     */
+    async _prepareAction(selector, options, checks) {
+        const opts = {...this.config, ...options };
+        const element = await this.waitFor(selector, opts);
+        const human = this._human(opts);
+
+        const offset = opts.clickOptions && opts.clickOptions.offset;
+        let point = null;
+        if (offset) point = { offset: { x: offset.x, y: offset.y } };
+        else if (human) point = { ratio: human.randomRatio() };
+
+        if (opts.scrollIntoView) {
+            await this._scrollIntoView(element, opts.scrollOptions, human);
+        }
+
+        if (!opts.force) {
+            await this._waitForActionable(element, checks, opts.actionTimeout, selector, point, human);
+        }
+
+        return { element, opts, human, point };
+    }
+
+    /**
+     * Chờ element qua tất cả các bước kiểm tra, timeout -> Error có `check` = bước fail cuối cùng
+     * Điểm ngẫu nhiên (humanize) bị che -> chọn điểm khác ở lần thử sau (point được cập nhật tại chỗ)
+     * Mỗi lần evaluate bị giới hạn trong thời gian còn lại: tab ẩn / nền có thể hoãn timer rất lâu
+     */
+    async _waitForActionable(element, checks, timeout = 5000, selector = '', point = null, human = null) {
+        const startTime = Date.now();
+        let failure = null;
+
+        do {
+            let timer = null;
+            const remaining = Math.max(timeout - (Date.now() - startTime), 100);
+            const timedOut = new Promise((resolve) => {
+                timer = setTimeout(() => resolve({
+                    check: checks.includes('stable') ? 'stable' : checks[0],
+                    detail: `page did not respond within ${remaining}ms (background or hidden tab?)`
+                }), remaining);
+            });
+
+            try {
+                const evaluating = element.evaluate(checkActionability, { checks, point });
+                evaluating.catch(() => {}); // Bị bỏ qua khi timeout
+                failure = await Promise.race([evaluating, timedOut]);
+            } catch (error) {
+                // Context bị huỷ (navigate) -> coi như element đã detach
+                failure = { check: 'attached', detail: error.message };
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!failure) return true;
+            if (failure.check === 'hitTarget' && human && point && point.ratio) point.ratio = human.randomRatio();
+
+            await this._sleep(100);
+        } while (Date.now() - startTime < timeout);
+
+        const error = new Error(`Element is not actionable (${failure.check}): ${failure.detail}${selector ? ` - ${selector}` : ''}`);
+        error.check = failure.check;
+        error.selector = selector;
+        throw error;
+    }
+
+    /**
+     * Xoá nội dung input (select all + Backspace)
+     */
+    async _clearElement(element, human = null) {
+        if (human) {
+            await human.click(element, { clickCount: 3 });
+        } else {
+            await element.click({ clickCount: 3 });
+        }
+        await this.page.keyboard.press('Backspace');
     }
 
     /**
@@ -891,6 +1892,434 @@ class SelectorHelper {
     }
 }
 
+// ==================== IN-PAGE SELECTOR ENGINE ====================
+
+/**
+ * Chạy trong browser. Gọi qua frame.evaluateHandle(fn, args) hoặc element.evaluateHandle(fn, args)
+ * (Playwright chỉ nhận một argument nên args là object)
+ * @returns {Element[]}
+ */
+function querySelectorEngine(rootOrArgs, maybeArgs) {
+    const root = maybeArgs ? rootOrArgs : document;
+    const { engine, body } = maybeArgs || rootOrArgs;
+    // Element có shadow root mở: tìm trong shadow DOM trước, sau đó light DOM
+    const scopes = root.shadowRoot ? [root.shadowRoot, root] : [root];
+    const unique = (list) => Array.from(new Set(list));
+
+    if (engine === 'css') {
+        return unique(scopes.flatMap(scope => Array.from(scope.querySelectorAll(body))));
+    }
+
+    if (engine === 'pierce') {
+        const results = [];
+        const walk = (node) => {
+            results.push(...node.querySelectorAll(body));
+            for (const el of node.querySelectorAll('*')) {
+                if (el.shadowRoot) walk(el.shadowRoot);
+            }
+        };
+        scopes.forEach(walk);
+        return unique(results);
+    }
+
+    if (engine === 'xpath') {
+        const doc = root.ownerDocument || root;
+        const snapshot = doc.evaluate(body, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const results = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            if (snapshot.snapshotItem(i).nodeType === Node.ELEMENT_NODE) results.push(snapshot.snapshotItem(i));
+        }
+        return results;
+    }
+
+    if (engine === 'text') {
+        // text="Buy" = khớp chính xác, text=Buy = chứa (giống contains(text(), ...))
+        const quoted = body.match(/^(["'])([\s\S]*)\1$/);
+        const expected = quoted ? quoted[2] : body;
+        const matches = (value) => quoted ? value.trim() === expected : value.includes(expected);
+
+        return unique(scopes.flatMap(scope => Array.from(scope.querySelectorAll('*')).filter(el =>
+            Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && matches(node.textContent))
+        )));
+    }
+
+    throw new Error(`Unknown selector engine: ${engine}`);
+}
+
+/**
+ * Chạy trong browser: element hiển thị (có kích thước, không display:none / visibility:hidden)
+ */
+function isElementVisible(el) {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' &&
+        style.visibility !== 'hidden' &&
+        rect.width > 0 &&
+        rect.height > 0;
+}
+
+/**
+ * Chạy trong browser: so trạng thái ARIA của element với role selector ({ checked, level, ... })
+ */
+function matchesAriaState(el, states) {
+    const aria = (name) => el.getAttribute(`aria-${name}`);
+    const tristate = (value) => (value === 'mixed' ? 'mixed' : value === 'true');
+    const actual = {
+        checked: () => {
+            if (el.indeterminate) return 'mixed';
+            if (el.type === 'checkbox' || el.type === 'radio') return el.checked;
+            return tristate(aria('checked'));
+        },
+        selected: () => (el.tagName === 'OPTION' ? el.selected : aria('selected') === 'true'),
+        expanded: () => aria('expanded') === 'true',
+        pressed: () => tristate(aria('pressed')),
+        disabled: () => el.matches(':disabled') || el.closest('[aria-disabled="true"]') !== null,
+        level: () => {
+            const heading = el.tagName.match(/^H([1-6])$/);
+            return heading ? Number(heading[1]) : Number(aria('level')) || null;
+        }
+    };
+
+    return Object.keys(states).every(key => actual[key]() === states[key]);
+}
+
+/**
+ * Chạy trong browser: kiểm tra actionability theo thứ tự checks
+ * point (hitTarget): { offset: {x, y} } px từ góc trên trái, { ratio: {x, y} } theo kích thước, null = tâm
+ * @returns {null|{check: string, detail: string}} null = actionable, ngược lại bước đầu tiên fail
+ */
+async function checkActionability(el, { checks, point }) {
+    const describe = (node) => {
+        let text = node.tagName.toLowerCase();
+        if (node.id) text += `#${node.id}`;
+        if (typeof node.className === 'string' && node.className.trim()) {
+            text += `.${node.className.trim().split(/\s+/).join('.')}`;
+        }
+        return text;
+    };
+    // requestAnimationFrame không chạy ở tab ẩn / nền -> setTimeout dự phòng
+    const nextFrame = () => new Promise((resolve) => {
+        requestAnimationFrame(() => resolve());
+        setTimeout(resolve, 50);
+    });
+
+    for (const check of checks) {
+        if (check === 'attached' && !el.isConnected) {
+            return { check, detail: 'element is detached from the DOM' };
+        }
+
+        if (check === 'visible') {
+            const style = window.getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            if (style.display === 'none' || style.visibility === 'hidden' || rect.width <= 0 || rect.height <= 0) {
+                return { check, detail: 'element is not visible' };
+            }
+        }
+
+        if (check === 'stable') {
+            // Bounding box không đổi qua 2 animation frame (hoặc 2 lần 50ms)
+            const before = el.getBoundingClientRect();
+            await nextFrame();
+            await nextFrame();
+            const after = el.getBoundingClientRect();
+            if (before.x !== after.x || before.y !== after.y || before.width !== after.width || before.height !== after.height) {
+                return { check, detail: 'element is still moving (animating)' };
+            }
+        }
+
+        if (check === 'enabled') {
+            const disabled = el.disabled === true ||
+                (el.closest && !!el.closest('fieldset[disabled]') && ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) ||
+                (el.closest && !!el.closest('[aria-disabled="true"]'));
+            if (disabled) {
+                return { check, detail: 'element is disabled' };
+            }
+        }
+
+        if (check === 'editable') {
+            const isField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+            if (!isField && !el.isContentEditable) {
+                return { check, detail: `<${el.tagName.toLowerCase()}> is not an input, textarea, select or contenteditable element` };
+            }
+            if (isField && (el.readOnly || el.getAttribute('aria-readonly') === 'true')) {
+                return { check, detail: 'element is readonly' };
+            }
+        }
+
+        if (check === 'hitTarget') {
+            // Điểm sẽ click phải trúng chính element hoặc con của nó
+            const rect = el.getBoundingClientRect();
+            const ratio = (point && point.ratio) || { x: 0.5, y: 0.5 };
+            const x = rect.left + (point && point.offset ? point.offset.x : rect.width * ratio.x);
+            const y = rect.top + (point && point.offset ? point.offset.y : rect.height * ratio.y);
+            const root = el.getRootNode();
+            const hit = (root.elementFromPoint ? root : document).elementFromPoint(x, y);
+
+            if (!hit) {
+                return { check, detail: `click point (${Math.round(x)}, ${Math.round(y)}) is outside of the viewport` };
+            }
+            if (hit !== el && !el.contains(hit)) {
+                return { check, detail: `<${describe(hit)}> intercepts pointer events at (${Math.round(x)}, ${Math.round(y)})` };
+            }
+        }
+    }
+
+    return null;
+}
+
+// ==================== IN-PAGE SCHEMA EXTRACTOR ====================
+
+/**
+ * Chạy trong browser: extract theo schema (xem SelectorHelper.extract)
+ * Gọi qua frame.evaluate(fn, schema) hoặc element.evaluate(fn, schema) (root = element)
+ */
+function runSchema(rootOrSchema, maybeSchema) {
+    // Mảng element (extractList): mỗi element một object
+    if (Array.isArray(rootOrSchema)) return rootOrSchema.map(el => runSchema(el, maybeSchema));
+
+    const root = maybeSchema ? rootOrSchema : document;
+    const schema = maybeSchema || rootOrSchema;
+    const isXPath = (value) => /^(\.{0,2}\/|\()/.test(value);
+
+    // Shorthand: 'text()', '@attr', 'css@attr', './/xpath', 'css'
+    const normalize = (field) => {
+        if (typeof field !== 'string') return field;
+        if (field === 'text()') return {};
+        if (field.startsWith('@')) return { attr: field.slice(1) };
+        if (isXPath(field)) return { xpath: field };
+        const match = field.match(/^([^@]+)@([\w:-]+)$/);
+        if (match) return { selector: match[1].trim(), attr: match[2] };
+        return { selector: field };
+    };
+
+    const queryAll = (scope, field) => {
+        if (field.xpath || (field.selector && isXPath(field.selector))) {
+            const expression = field.xpath || field.selector;
+            const doc = scope.ownerDocument || scope;
+            const snapshot = doc.evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const nodes = [];
+            for (let i = 0; i < snapshot.snapshotLength; i++) nodes.push(snapshot.snapshotItem(i));
+            return nodes;
+        }
+        if (field.selector) return Array.from(scope.querySelectorAll(field.selector));
+        return [scope];
+    };
+
+    const parseNumber = (value) => {
+        let text = String(value).replace(/[^\d.,-]/g, '');
+        if (text.includes(',') && text.includes('.')) {
+            // Dấu xuất hiện sau cùng là dấu thập phân: 1.234,56 | 1,234.56
+            text = text.lastIndexOf(',') > text.lastIndexOf('.')
+                ? text.replace(/\./g, '').replace(',', '.')
+                : text.replace(/,/g, '');
+        } else if (text.includes(',')) {
+            text = /,\d{1,2}$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+        } else if ((text.match(/\./g) || []).length > 1) {
+            text = text.replace(/\./g, '');
+        }
+        const number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    };
+
+    const transforms = {
+        trim: (value) => value.replace(/\s+/g, ' ').trim(),
+        number: parseNumber,
+        int: (value) => {
+            const number = parseNumber(value);
+            return number === null ? null : Math.trunc(number);
+        },
+        date: (value) => {
+            const time = Date.parse(value);
+            return isNaN(time) ? null : new Date(time).toISOString();
+        },
+        url: (value) => {
+            try {
+                return new URL(value, document.baseURI).href;
+            } catch (_) {
+                return null;
+            }
+        },
+        lowercase: (value) => value.toLowerCase(),
+        uppercase: (value) => value.toUpperCase()
+    };
+
+    const applyTransform = (value, transform) => {
+        if (!transform) return value;
+        if (Array.isArray(transform)) return transform.reduce(applyTransform, value);
+        if (value === null || value === undefined) return value;
+
+        if (typeof transform === 'object') {
+            const match = new RegExp(transform.regex, transform.flags || '').exec(String(value));
+            if (!match) return null;
+            const group = transform.group !== undefined ? transform.group : 1;
+            return match[group] !== undefined ? match[group] : match[0];
+        }
+
+        if (!transforms[transform]) throw new Error(`Unknown transform: ${transform}`);
+        return typeof value === 'string' ? transforms[transform](value) : value;
+    };
+
+    const isEmpty = (value) => value === null || value === undefined || value === '' ||
+        (typeof value === 'number' && isNaN(value)) || (Array.isArray(value) && value.length === 0);
+
+    const readValue = (node, field) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeValue.trim(); // XPath @attr / text()
+        if (field.attr) return node.getAttribute(field.attr);
+        if (field.property) return node[field.property];
+        return node.textContent.trim();
+    };
+
+    const extractField = (scope, definition) => {
+        const field = normalize(definition);
+        const nodes = queryAll(scope, field);
+        let value;
+
+        if (field.fields) {
+            const items = nodes.map(node => extractFields(node, field.fields));
+            value = field.list === false ? (items[0] || null) : items;
+        } else if (field.list) {
+            value = nodes.map(node => applyTransform(readValue(node, field), field.transform)).filter(v => !isEmpty(v));
+        } else {
+            value = nodes.length > 0 ? applyTransform(readValue(nodes[0], field), field.transform) : null;
+        }
+
+        if (isEmpty(value)) {
+            if (field.default !== undefined) return field.default;
+            return (field.fields && field.list !== false) || field.list ? [] : null;
+        }
+        return value;
+    };
+
+    const extractFields = (scope, fields) => {
+        const item = {};
+        for (const [key, field] of Object.entries(fields || {})) {
+            item[key] = extractField(scope, field);
+        }
+        return item;
+    };
+
+    if (schema.selector || schema.xpath) {
+        return queryAll(root, schema).map(node => extractFields(node, schema.fields));
+    }
+    return extractFields(root, schema.fields);
+}
+
+// ==================== IN-PAGE FINGERPRINT ====================
+
+/**
+ * Chạy trong browser: fingerprint của element (tag, text, attributes, DOM path)
+ */
+function elementFingerprint(el) {
+    const attributes = {};
+    for (const attr of Array.from(el.attributes)) {
+        if (attr.name === 'style' || attr.name === 'class') continue;
+        attributes[attr.name] = attr.value.slice(0, 200);
+    }
+
+    const segments = [];
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const tag = node.tagName.toLowerCase();
+        const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+            : [];
+        segments.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+
+    return {
+        tag: el.tagName.toLowerCase(),
+        text: (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+        attributes,
+        classes: Array.from(el.classList),
+        path: segments.join(' > '),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Chạy trong browser: chấm điểm mọi element cùng tag (không có thì mọi element) theo fingerprint
+ * Trọng số: text 3, id 3, attributes 1 mỗi cái, class (Jaccard) 1, DOM path 2; element ẩn bị trừ điểm
+ * @returns {{element: Element|null, score: number, path: string|null}}
+ */
+function findBestMatch(fingerprint) {
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const expectedText = normalize(fingerprint.text);
+    const expectedPath = fingerprint.path.split(' > ');
+    const attributes = Object.entries(fingerprint.attributes).filter(([name]) => name !== 'id');
+
+    const pathOf = (el) => {
+        const segments = [];
+        for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement
+                ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+                : [];
+            segments.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return segments;
+    };
+
+    const score = (el) => {
+        let total = 0;
+        let max = 0;
+
+        if (expectedText) {
+            max += 3;
+            const text = normalize(el.innerText || el.textContent);
+            if (text === expectedText) total += 3;
+            else if (text && (text.includes(expectedText) || expectedText.includes(text))) total += 1.5;
+        }
+
+        if (fingerprint.attributes.id) {
+            max += 3;
+            if (el.id === fingerprint.attributes.id) total += 3;
+        }
+
+        for (const [name, value] of attributes) {
+            max += 1;
+            if (el.getAttribute(name) === value) total += 1;
+        }
+
+        if (fingerprint.classes.length > 0) {
+            max += 1;
+            const classes = Array.from(el.classList);
+            const common = classes.filter(cls => fingerprint.classes.includes(cls)).length;
+            const union = new Set([...classes, ...fingerprint.classes]).size;
+            total += union > 0 ? common / union : 0;
+        }
+
+        // DOM path: tỉ lệ segment trùng tính từ element ngược lên root
+        max += 2;
+        const actualPath = pathOf(el);
+        let same = 0;
+        while (same < Math.min(actualPath.length, expectedPath.length) &&
+            actualPath[actualPath.length - 1 - same] === expectedPath[expectedPath.length - 1 - same]) {
+            same++;
+        }
+        total += 2 * same / Math.max(actualPath.length, expectedPath.length);
+
+        const rect = el.getBoundingClientRect();
+        const visible = rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+
+        return (total / max) * (visible ? 1 : 0.8);
+    };
+
+    let candidates = Array.from(document.querySelectorAll(fingerprint.tag));
+    if (candidates.length === 0) candidates = Array.from(document.body ? document.body.querySelectorAll('*') : []);
+
+    let best = { element: null, score: 0, path: null };
+    for (const el of candidates) {
+        const value = score(el);
+        if (value > best.score) best = { element: el, score: value, path: null };
+    }
+
+    if (best.element) {
+        best.score = Math.round(best.score * 1000) / 1000;
+        best.path = pathOf(best.element).join(' > ');
+    }
+
+    return best;
+}
+
 // ==================== XPATH BUILDER UTILITY ====================
 
 class XPathBuilder {
@@ -1038,5 +2467,7 @@ class XPathBuilder {
 
 module.exports = {
     SelectorHelper,
-    XPathBuilder
+    XPathBuilder,
+    // Hàm chạy trong page, export để test transform ngoài browser
+    runSchema
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SelectorHelper } = require('../src/xpath/xpath-helper');
+
+const CHECKS = ['attached', 'visible', 'stable', 'enabled'];
+
+// Tab ẩn: requestAnimationFrame không bao giờ chạy
+const savedGlobals = {};
+
+before(() => {
+    for (const key of ['window', 'requestAnimationFrame']) savedGlobals[key] = Object.getOwnPropertyDescriptor(global, key);
+    global.window = { getComputedStyle: () => ({ display: 'block', visibility: 'visible' }) };
+    global.requestAnimationFrame = () => {};
+});
+
+after(() => {
+    for (const [key, descriptor] of Object.entries(savedGlobals)) {
+        if (descriptor) Object.defineProperty(global, key, descriptor);
+        else delete global[key];
+    }
+});
+
+// ElementHandle giả: evaluate chạy hàm in-page trên element giả
+function fakeHandle(el) {
+    return {
+        evaluate: async(fn, arg) => await fn(el, arg)
+    };
+}
+
+function fakeElement(rects) {
+    let call = 0;
+    return {
+        tagName: 'BUTTON',
+        isConnected: true,
+        disabled: false,
+        closest: () => null,
+        getBoundingClientRect: () => rects[Math.min(call++, rects.length - 1)]
+    };
+}
+
+test('stable check không phụ thuộc requestAnimationFrame (tab ẩn)', async() => {
+    const helper = new SelectorHelper({});
+    const rect = { x: 10, y: 20, width: 100, height: 30 };
+
+    const start = Date.now();
+    assert.equal(await helper._waitForActionable(fakeHandle(fakeElement([rect])), CHECKS, 2000), true);
+    assert.ok(Date.now() - start < 1000, `mất ${Date.now() - start}ms`);
+});
+
+test('element đang di chuyển -> fail ở bước stable', async() => {
+    const helper = new SelectorHelper({});
+    const moving = Array.from({ length: 200 }, (_, i) => ({ x: i, y: 0, width: 100, height: 30 }));
+
+    await assert.rejects(helper._waitForActionable(fakeHandle(fakeElement(moving)), CHECKS, 400, '#buy'), (error) => {
+        assert.equal(error.check, 'stable');
+        assert.match(error.message, /still moving.* - #buy$/);
+        return true;
+    });
+});
+
+test('evaluate bị treo -> timeout vẫn được áp dụng, check = stable', async() => {
+    const helper = new SelectorHelper({});
+    const hung = { evaluate: () => new Promise(() => {}) };
+
+    const start = Date.now();
+    await assert.rejects(helper._waitForActionable(hung, CHECKS, 300, '#buy'), (error) => {
+        assert.equal(error.check, 'stable');
+        assert.match(error.message, /did not respond/);
+        return true;
+    });
+    assert.ok(Date.now() - start < 1000, `mất ${Date.now() - start}ms`);
+});
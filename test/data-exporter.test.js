@@ -0,0 +1,139 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const DataExporter = require('../src/exporter/data-exporter');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-helper-export-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const read = (file) => fs.readFileSync(file, 'utf8');
+
+test('toCSV: quoting RFC 4180 và header', () => {
+    const csv = DataExporter.toCSV([
+        { name: 'a,b', note: 'say "hi"' },
+        { name: 'line\nbreak', note: ' padded ' },
+        { name: null, note: 12.5, extra: true }
+    ]);
+
+    assert.equal(csv, [
+        'name,note,extra',
+        '"a,b","say ""hi""",',
+        '"line\nbreak"," padded ",',
+        ',12.5,true',
+        ''
+    ].join('\r\n'));
+});
+
+test('toCSV: nhận kết quả extractTable, delimiter và header tuỳ chỉnh', () => {
+    const table = { headers: ['Tên', 'Giá'], rows: [{ 'Tên': 'Áo', 'Giá': 100 }, ['Quần', 200]] };
+
+    assert.equal(DataExporter.toCSV(table, { delimiter: ';', headers: { 'Giá': 'Giá (VND)' } }),
+        'Tên;Giá (VND)\r\nÁo;100\r\nQuần;200\r\n');
+});
+
+test('CSV incremental: BOM + header một lần, các write nối tiếp', async() => {
+    const file = path.join(dir, 'out', 'items.csv');
+    const exporter = new DataExporter(file, { columns: ['id', 'title'], headers: { title: 'Tiêu đề' } });
+
+    assert.equal(await exporter.write([{ id: 1, title: 'Một' }]), 1);
+    assert.equal(await exporter.write([{ id: 2, title: 'Hai, ba' }, { id: 3 }]), 3);
+    assert.deepEqual(await exporter.close(), { filePath: file, format: 'csv', rows: 3 });
+
+    assert.equal(read(file), '\uFEFFid,Tiêu đề\r\n1,Một\r\n2,"Hai, ba"\r\n3,\r\n');
+    await assert.rejects(exporter.write({ id: 4 }), /Exporter is closed/);
+});
+
+test('CSV: key không có trong columns cố định -> throw kèm error.columns', async() => {
+    const file = path.join(dir, 'items.csv');
+    const exporter = new DataExporter(file);
+
+    await exporter.write([{ id: 1 }]);
+    const error = await exporter.write([{ id: 2, price: 10 }]).catch(e => e);
+
+    assert.match(error.message, /Unknown columns .*price/);
+    assert.deepEqual(error.columns, ['price']);
+    assert.equal(read(file), '\uFEFFid\r\n1\r\n');
+
+    const lenient = new DataExporter(path.join(dir, 'lenient.csv'), { ignoreUnknownColumns: true, bom: false });
+    await lenient.write([{ id: 1 }]);
+    await lenient.write([{ id: 2, price: 10 }]);
+    assert.equal(read(lenient.filePath), 'id\r\n1\r\n2\r\n');
+});
+
+test('CSV append: không ghi lại header vào file đã có', async() => {
+    const file = path.join(dir, 'items.csv');
+    await DataExporter.export(file, [{ id: 1 }]);
+    await DataExporter.export(file, [{ id: 2 }], { append: true });
+
+    assert.equal(read(file), '\uFEFFid\r\n1\r\n2\r\n');
+});
+
+test('CSV: write song song được ghi tuần tự', async() => {
+    const file = path.join(dir, 'items.csv');
+    const exporter = new DataExporter(file, { columns: ['n'], bom: false });
+
+    await Promise.all([1, 2, 3, 4].map(n => exporter.write({ n })));
+
+    assert.equal(read(file), 'n\r\n1\r\n2\r\n3\r\n4\r\n');
+});
+
+test('JSONL: mỗi row một dòng JSON', async() => {
+    const file = path.join(dir, 'items.jsonl');
+    await DataExporter.export(file, [{ id: 1, tags: ['a'] }, { id: 2, extra: 'ok' }]);
+
+    assert.deepEqual(read(file).trim().split('\n').map(line => JSON.parse(line)), [
+        { id: 1, tags: ['a'] },
+        { id: 2, extra: 'ok' }
+    ]);
+});
+
+test('XML: file hợp lệ sau mỗi write, kiểu dữ liệu và escape', async() => {
+    const file = path.join(dir, 'items.xls');
+    const exporter = new DataExporter(file, { sheetName: 'Sản phẩm' });
+
+    await exporter.write([{ name: 'A & <B>', price: 10.5, stock: true }]);
+    let xml = read(file);
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(xml.includes('<Worksheet ss:Name="Sản phẩm">'));
+    assert.ok(xml.endsWith('</Table>\n</Worksheet>\n</Workbook>\n'));
+    assert.ok(xml.includes('<Row><Cell ss:StyleID="header"><Data ss:Type="String">name</Data></Cell>'));
+    assert.ok(xml.includes('<Data ss:Type="String">A &amp; &lt;B&gt;</Data>'));
+    assert.ok(xml.includes('<Data ss:Type="Number">10.5</Data>'));
+    assert.ok(xml.includes('<Data ss:Type="Boolean">1</Data>'));
+
+    await exporter.write([{ name: 'dòng 1\ndòng 2\u0001', price: 'n/a', stock: false }]);
+    xml = read(file);
+    assert.equal(xml.match(/<Row>/g).length, 3);
+    assert.equal(xml.match(/<\/Workbook>/g).length, 1);
+    assert.ok(xml.endsWith('</Table>\n</Worksheet>\n</Workbook>\n'));
+    assert.ok(xml.includes('<Data ss:Type="String">dòng 1&#10;dòng 2</Data>'));
+
+    await exporter.close();
+    assert.equal(read(file), xml);
+});
+
+test('XML: close khi chưa write vẫn tạo file hợp lệ', async() => {
+    const file = path.join(dir, 'empty.xml');
+    const result = await new DataExporter(file).close();
+
+    assert.equal(result.format, 'xml');
+    assert.equal(result.rows, 0);
+    assert.ok(read(file).endsWith('<Table>\n</Table>\n</Worksheet>\n</Workbook>\n'));
+});
+
+test('format không hỗ trợ / .xlsx bị reject', () => {
+    assert.throws(() => new DataExporter(path.join(dir, 'items.xlsx')), /Cannot write \.xlsx/);
+    assert.throws(() => new DataExporter(path.join(dir, 'items.xlsx'), { format: 'xml' }), /Cannot write \.xlsx/);
+    assert.throws(() => new DataExporter(path.join(dir, 'items.txt')), /Unsupported export format: \.txt/);
+    assert.throws(() => new DataExporter(''), /filePath is required/);
+});
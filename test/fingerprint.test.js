@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { SelectorHelper } = require('../src/xpath/xpath-helper');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-helper-fp-'));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Element giả: evaluate trả fingerprint cố định, đếm số lần gọi
+function fakeElement(fingerprint) {
+    const el = {
+        evaluations: 0,
+        evaluate: async() => {
+            el.evaluations++;
+            return {...fingerprint, updatedAt: new Date().toISOString() };
+        }
+    };
+    return el;
+}
+
+// Helper với _findOne giả: selector nào có trong map thì tìm thấy
+function helperWith(elements, options = {}) {
+    const helper = new SelectorHelper({}, options);
+    helper._findOne = async(selector) => elements[selector] || null;
+    return helper;
+}
+
+const BUY = { tag: 'button', text: 'Buy', attributes: { id: 'buy' }, classes: ['btn'], path: 'html > body > button' };
+
+test('fingerprintFile theo từng lần gọi được load / ghi đúng file', async() => {
+    const file = path.join(dir, 'per-call', 'fp.json');
+    const helper = helperWith({ '#buy': fakeElement(BUY) });
+
+    await helper.find('#buy', { fingerprintFile: file });
+
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8'))['#buy'].tag, 'button');
+    assert.equal(helper.getFingerprint('#buy', file).text, 'Buy');
+    assert.equal(helper.getFingerprint('#buy'), null);
+
+    // Instance khác đọc lại từ file
+    const other = helperWith({});
+    assert.equal(other.getFingerprint('#buy', file).attributes.id, 'buy');
+});
+
+test('selector chính match: chỉ evaluate fingerprint lần đầu', async() => {
+    const file = path.join(dir, 'once.json');
+    const element = fakeElement(BUY);
+    const helper = helperWith({ '#buy': element }, { fingerprintFile: file });
+
+    for (let i = 0; i < 5; i++) await helper.find('#buy');
+    await helper.find(['#buy', 'text=Buy']);
+
+    assert.equal(element.evaluations, 1);
+});
+
+test('fallback match (cấu trúc đổi) luôn cập nhật fingerprint', async() => {
+    const file = path.join(dir, 'fallback.json');
+    const primary = fakeElement(BUY);
+    const elements = { '#buy': primary };
+    const helper = helperWith(elements, { fingerprintFile: file });
+    const healed = [];
+    helper.on('selector:healed', event => healed.push(event.healedSelector));
+
+    await helper.find(['#buy', 'text=Buy'], { timeout: 0 });
+
+    // Site đổi id -> selector chính fail, fallback tìm thấy
+    delete elements['#buy'];
+    const renamed = fakeElement({...BUY, attributes: { id: 'buy-now' } });
+    elements['text=Buy'] = renamed;
+    await helper.find(['#buy', 'text=Buy'], { timeout: 0 });
+    await helper.find(['#buy', 'text=Buy'], { timeout: 0 });
+
+    assert.deepEqual(healed, ['text=Buy', 'text=Buy']);
+    assert.equal(renamed.evaluations, 2);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8'))['#buy'].attributes.id, 'buy-now');
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { entryToHar, harToEntry, buildHar, socketToHar } = require('../src/trackingNetwork/harConverter');
+
+const START = Date.parse('2024-01-02T03:04:05.000Z');
+
+function sampleEntry(overrides = {}) {
+    return {
+        id: 7,
+        url: 'https://api.example.com/items?page=2&q=a%20b',
+        method: 'POST',
+        resourceType: 'XHR',
+        requestHeaders: { 'Content-Type': 'application/json', 'X-Token': 'abc' },
+        postData: '{"name":"Tiếng Việt"}',
+        status: 201,
+        statusText: 'Created',
+        responseHeaders: { 'Content-Type': 'application/json; charset=utf-8' },
+        startTime: START,
+        responseTime: START + 40,
+        duration: 120,
+        timing: null,
+        ...overrides
+    };
+}
+
+test('entryToHar: request / response theo HAR 1.2', () => {
+    const har = entryToHar(sampleEntry(), 'page_1', { text: '{"ok":true}', size: 11 });
+
+    assert.equal(har.pageref, 'page_1');
+    assert.equal(har.startedDateTime, '2024-01-02T03:04:05.000Z');
+    assert.equal(har.time, 120);
+    assert.deepEqual(har.request.queryString, [{ name: 'page', value: '2' }, { name: 'q', value: 'a b' }]);
+    assert.equal(har.request.postData.mimeType, 'application/json');
+    assert.equal(har.request.bodySize, Buffer.byteLength('{"name":"Tiếng Việt"}'));
+    assert.equal(har.response.content.mimeType, 'application/json; charset=utf-8');
+    assert.equal(har.response.content.text, '{"ok":true}');
+    assert.deepEqual(har.timings, { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 40, receive: 80 });
+});
+
+test('round-trip entry -> HAR (JSON) -> entry giữ nguyên dữ liệu replay', () => {
+    const entry = sampleEntry();
+    const har = buildHar([entryToHar(entry, 'page_1', { text: '{"ok":true}', size: 11 })], [
+        { id: 'page_1', title: 'Items', startedDateTime: new Date(START).toISOString() }
+    ]);
+    const parsed = JSON.parse(JSON.stringify(har));
+
+    assert.equal(parsed.log.version, '1.2');
+    assert.deepEqual(parsed.log.pages[0].pageTimings, {});
+
+    const back = harToEntry(parsed.log.entries[0], 1);
+    assert.equal(back.id, 1);
+    assert.equal(back.url, entry.url);
+    assert.equal(back.method, 'POST');
+    assert.equal(back.resourceType, 'XHR');
+    // Header key được chuẩn hoá về chữ thường
+    assert.deepEqual(back.requestHeaders, { 'content-type': 'application/json', 'x-token': 'abc' });
+    assert.deepEqual(back.responseHeaders, { 'content-type': 'application/json; charset=utf-8' });
+    assert.equal(back.postData, entry.postData);
+    assert.equal(back.status, 201);
+    assert.equal(back.statusText, 'Created');
+    assert.equal(back.body, '{"ok":true}');
+    assert.equal(back.state, 'finished');
+    assert.equal(back.startTime, START);
+    assert.equal(back.endTime, START + 120);
+});
+
+test('round-trip body base64 -> Buffer', () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const har = entryToHar(sampleEntry({ method: 'GET', postData: null, responseHeaders: { 'content-type': 'image/png' } }),
+        'page_1', { text: bytes.toString('base64'), encoding: 'base64', size: bytes.length });
+
+    assert.equal(har.request.postData, undefined);
+
+    const back = harToEntry(har, 1);
+    assert.ok(Buffer.isBuffer(back.body));
+    assert.deepEqual(back.body, bytes);
+    assert.equal(back.postData, null);
+});
+
+test('request lỗi giữ failure sau round-trip', () => {
+    const har = entryToHar(sampleEntry({ status: 0, failure: 'net::ERR_CONNECTION_REFUSED' }), 'page_1');
+    const back = harToEntry(har, 1);
+
+    assert.equal(back.failure, 'net::ERR_CONNECTION_REFUSED');
+    assert.equal(back.state, 'failed');
+    assert.equal(back.body, null);
+});
+
+test('WebSocket: messages round-trip (direction, opcode, data, timestamp)', () => {
+    const socket = {
+        type: 'websocket',
+        url: 'wss://ws.example.com/feed',
+        method: 'GET',
+        requestHeaders: {},
+        responseHeaders: {},
+        startTime: START,
+        endTime: START + 5000,
+        messages: [
+            { direction: 'sent', opcode: 1, data: '{"subscribe":"btc"}', timestamp: START + 100 },
+            { direction: 'received', opcode: 2, data: 'AAEC', timestamp: START + 250 }
+        ]
+    };
+
+    const har = socketToHar(socket, 'page_1');
+    assert.equal(har.response.status, 101);
+    assert.deepEqual(har._webSocketMessages.map(m => m.type), ['send', 'receive']);
+    assert.equal(har._webSocketMessages[0].time, (START + 100) / 1000);
+
+    const back = harToEntry(JSON.parse(JSON.stringify(har)), 3);
+    assert.deepEqual(back.messages, socket.messages);
+});
+
+test('EventSource: messages round-trip', () => {
+    const socket = {
+        type: 'eventsource',
+        url: 'https://example.com/events',
+        method: 'GET',
+        startTime: START,
+        endTime: START + 1000,
+        messages: [{ direction: 'received', eventName: 'tick', eventId: '1', data: 'hello', timestamp: START + 10 }]
+    };
+
+    const back = harToEntry(socketToHar(socket, 'page_1'), 1);
+    assert.deepEqual(back.messages, socket.messages);
+});
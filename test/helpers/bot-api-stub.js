@@ -0,0 +1,103 @@
+const http = require('node:http');
+
+/**
+ * Bot API server giả cho test (dùng với apiRoot)
+ * - POST /bot<token>/<method>: handlers[method](call) trả về response JSON của Bot API
+ *   (không có handler -> { ok: true, result: true }); handler có thể async để giữ request (long polling)
+ * - GET /file/bot<token>/<path>: trả về files[path]
+ * call = { method, token, headers, raw, body } - body là JSON đã parse (null nếu multipart)
+ * urls: mọi URL đã nhận (kể cả tải file)
+ */
+async function startBotApiStub(handlers = {}, files = {}) {
+    const calls = [];
+    const urls = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        urls.push(req.url);
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async() => {
+            const fileMatch = req.url.match(/^\/file\/bot([^/]+)\/(.+)$/);
+            if (req.method === 'GET' && fileMatch) {
+                const file = files[fileMatch[2]];
+                res.statusCode = file ? 200 : 404;
+                res.end(file || 'Not Found');
+                return;
+            }
+
+            const match = req.url.match(/^\/bot([^/]+)\/(\w+)$/);
+            if (!match) {
+                res.statusCode = 404;
+                res.end(JSON.stringify({ ok: false, error_code: 404, description: 'Not Found' }));
+                return;
+            }
+
+            const raw = Buffer.concat(chunks);
+            const isJson = /application\/json/.test(req.headers['content-type'] || '');
+            const call = { method: match[2], token: match[1], headers: req.headers, raw, body: isJson ? JSON.parse(raw) : null };
+            calls.push(call);
+
+            const handler = handlers[call.method];
+            const response = handler ? await handler(call) : { ok: true, result: true };
+            if (res.destroyed) return;
+
+            res.statusCode = response.ok ? 200 : (response.error_code || 400);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        urls,
+        handlers,
+        files,
+        callsOf: (method) => calls.filter(call => call.method === method),
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+}
+
+/**
+ * Nguồn updates cho handler getUpdates: trả các update có update_id >= offset,
+ * chưa có thì giữ request (long polling) tới khi push() thêm update
+ */
+function updateFeed() {
+    const updates = [];
+    let wake = null;
+
+    return {
+        updates,
+        push(...items) {
+            updates.push(...items);
+            if (wake) wake();
+        },
+        getUpdates: async(call) => {
+            const offset = call.body.offset || 0;
+            let pending = updates.filter(update => update.update_id >= offset);
+
+            while (pending.length === 0 && call.body.timeout > 0) {
+                await new Promise(resolve => { wake = resolve; });
+                pending = updates.filter(update => update.update_id >= offset);
+            }
+            return ok(pending);
+        }
+    };
+}
+
+const ok = (result) => ({ ok: true, result });
+
+const fail = (errorCode, description, parameters) => ({
+    ok: false,
+    error_code: errorCode,
+    description,
+    ...(parameters ? { parameters } : {})
+});
+
+module.exports = { startBotApiStub, updateFeed, ok, fail };
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitMessage, MESSAGE_LIMIT } = require('../src/telegram/message-splitter');
+
+test('text dưới limit giữ nguyên một chunk', () => {
+    assert.deepEqual(splitMessage('hello'), ['hello']);
+    assert.deepEqual(splitMessage('x'.repeat(MESSAGE_LIMIT)), ['x'.repeat(MESSAGE_LIMIT)]);
+});
+
+test('cắt ở cuối dòng, mọi chunk <= limit và không mất nội dung', () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i} ${'a'.repeat(20)}`);
+    const chunks = splitMessage(lines.join('\n'), { limit: 100 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 100, `chunk dài ${chunk.length}`);
+        assert.ok(!chunk.startsWith('\n') && !chunk.endsWith('\n'));
+    }
+    assert.deepEqual(chunks.join('\n').split('\n'), lines);
+});
+
+test('token dài không có khoảng trắng bị cắt cứng', () => {
+    const chunks = splitMessage('x'.repeat(250), { limit: 100 });
+
+    assert.ok(chunks.every(chunk => chunk.length <= 100));
+    assert.equal(chunks.join(''), 'x'.repeat(250));
+});
+
+test('HTML: tag được đóng cuối chunk và mở lại ở chunk sau', () => {
+    const body = Array.from({ length: 20 }, (_, i) => `word${i}`).join(' ');
+    const chunks = splitMessage(`<b>bold <a href="https://example.com">${body}</a></b> &amp; end`, {
+        limit: 80,
+        parseMode: 'HTML'
+    });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 80);
+        const opened = (chunk.match(/<(b|a)[\s>]/g) || []).length;
+        const closed = (chunk.match(/<\/(b|a)>/g) || []).length;
+        assert.equal(opened, closed, `tag không cân bằng: ${chunk}`);
+        assert.ok(!/&[a-z]*$/.test(chunk), 'entity bị cắt đôi');
+    }
+    assert.ok(chunks[1].startsWith('<b><a href="https://example.com">'));
+});
+
+test('MarkdownV2: code block mở lại kèm ngôn ngữ', () => {
+    const code = Array.from({ length: 20 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const chunks = splitMessage('```js\n' + code + '\n```', { limit: 120, parseMode: 'MarkdownV2' });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 120);
+        assert.ok(chunk.startsWith('```js\n'), `thiếu mở block: ${chunk}`);
+        assert.ok(chunk.endsWith('```'), `thiếu đóng block: ${chunk}`);
+    }
+});
+
+test('Markdown: marker in đậm được đóng / mở lại', () => {
+    const chunks = splitMessage('*' + 'bold text '.repeat(20).trim() + '*', { limit: 60, parseMode: 'Markdown' });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.startsWith('*') && chunk.endsWith('*'), chunk);
+    }
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProgressTracker = require('../src/telegram/progress-tracker');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Bot giả: ghi lại các lần send / edit
+function fakeBot() {
+    return {
+        sent: [],
+        edits: [],
+        async sendMessage(chatId, text, options) {
+            this.sent.push({ chatId, text, options });
+            return { message_id: 99 };
+        },
+        async editMessageText(chatId, messageId, text, options) {
+            this.edits.push({ chatId, messageId, text, options });
+            return true;
+        },
+        escapeHTML(text) {
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+    };
+}
+
+test('start gửi một message không split', async() => {
+    const bot = fakeBot();
+    const tracker = new ProgressTracker(bot, 5, 10, { title: 'Crawl' });
+
+    await tracker.start();
+
+    assert.equal(tracker.messageId, 99);
+    assert.deepEqual(bot.sent[0].options, { parse_mode: 'HTML', split: false });
+    assert.match(bot.sent[0].text, /^Crawl\n░{20} 0\.0%\n0\/10 items\nRate: 0\.00 items\/s\nETA: --$/);
+});
+
+test('update bị throttle: gộp các lần gọi, giá trị cuối luôn được hiển thị', async() => {
+    const bot = fakeBot();
+    const tracker = new ProgressTracker(bot, 1, 100, { throttleMs: 100, showRate: false, showEta: false });
+    await tracker.start();
+
+    for (let i = 1; i <= 20; i++) await tracker.update(i);
+    assert.equal(bot.edits.length, 0);
+
+    await sleep(150);
+    assert.equal(bot.edits.length, 1);
+    assert.match(bot.edits[0].text, /20\/100 items/);
+
+    // Quá throttleMs kể từ lần edit trước -> edit ngay
+    await sleep(110);
+    await tracker.update(50);
+    assert.equal(bot.edits.length, 2);
+    assert.match(bot.edits[1].text, /█{10}░{10} 50\.0%/);
+});
+
+test('update vượt total bị giới hạn, complete huỷ edit đang chờ', async() => {
+    const bot = fakeBot();
+    const tracker = new ProgressTracker(bot, 1, 10, { throttleMs: 100 });
+    await tracker.start();
+
+    await tracker.update(25);
+    assert.equal(tracker.current, 10);
+
+    await tracker.complete();
+    await sleep(150);
+
+    assert.equal(bot.edits.length, 1);
+    assert.match(bot.edits[0].text, /^✅ Complete!\nProcessed: 10 items\nTime: \ds$/);
+});
+
+test('lỗi edit không làm gián đoạn job', async() => {
+    const bot = fakeBot();
+    bot.editMessageText = async() => {
+        throw new Error('Too Many Requests: retry after 5');
+    };
+    const tracker = new ProgressTracker(bot, 1, 10, { throttleMs: 0 });
+    await tracker.start();
+
+    await tracker.update(3);
+    await tracker.fail(new Error('<timeout>'));
+
+    assert.match(tracker.lastError.message, /Too Many Requests/);
+});
+
+test('fail hiển thị vị trí và message đã escape', async() => {
+    const bot = fakeBot();
+    const tracker = new ProgressTracker(bot, 1, 10, { throttleMs: 0 });
+    await tracker.start();
+
+    await tracker.increment(4);
+    await tracker.fail(new Error('<timeout>'));
+
+    assert.equal(bot.edits.at(-1).text, '❌ Failed at 4/10 items\n<code>&lt;timeout&gt;</code>');
+});
+
+test('complete trong lúc edit đang chạy: progress edit đang chờ không gửi sau message cuối', async() => {
+    const bot = fakeBot();
+    const editMessageText = bot.editMessageText;
+    // Edit chậm, được ghi lại khi tới server
+    bot.editMessageText = async function(...args) {
+        await sleep(80);
+        return await editMessageText.apply(this, args);
+    };
+    const tracker = new ProgressTracker(bot, 1, 10, { throttleMs: 30, showRate: false, showEta: false });
+    await tracker.start();
+    await sleep(40);
+
+    const first = tracker.update(1); // edit ngay, mất 80ms
+    await sleep(10);
+    const second = tracker.update(2); // chờ edit đầu
+    tracker.update(3);
+    await sleep(40);
+    await tracker.complete();
+    await Promise.all([first, second]);
+    await sleep(100);
+
+    assert.deepEqual(bot.edits.map(e => e.text.split('\n')[0]), ['⏳ Processing...', '✅ Complete!']);
+    assert.match(bot.edits[0].text, /1\/10 items/);
+
+    await tracker.update(5);
+    await sleep(50);
+    assert.equal(bot.edits.length, 2);
+});
+
+test('fail / complete định dạng theo parseMode', async() => {
+    const bot = fakeBot();
+    bot.escapeMarkdown = (text) => text.replace(/([_*\[\]()~`>#+\-=|{}.!])/g, '\\$1');
+
+    const v2 = new ProgressTracker(bot, 1, 10, { throttleMs: 0, parseMode: 'MarkdownV2' });
+    await v2.start();
+    assert.match(bot.sent[0].text, /0\\\.0%/);
+    assert.equal(bot.sent[0].options.parse_mode, 'MarkdownV2');
+    await v2.fail(new Error('Expected `a\\b` <x>'));
+    assert.equal(bot.edits.at(-1).text, '❌ Failed at 0/10 items\n`Expected \\`a\\\\b\\` <x>`');
+
+    const markdown = new ProgressTracker(bot, 1, 10, { throttleMs: 0, parseMode: 'Markdown' });
+    await markdown.start();
+    await markdown.fail('bad `value`');
+    assert.equal(bot.edits.at(-1).text, "❌ Failed at 0/10 items\n`bad 'value'`");
+
+    const v2Done = new ProgressTracker(bot, 1, 10, { parseMode: 'MarkdownV2' });
+    await v2Done.start();
+    await v2Done.complete();
+    assert.match(bot.edits.at(-1).text, /^✅ Complete\\!\nProcessed: 10 items\nTime: \ds$/);
+});
+
+test('rate / ETA và định dạng thời gian', () => {
+    const tracker = new ProgressTracker(fakeBot(), 1, 100);
+    assert.equal(tracker.getRate(), 0);
+    assert.equal(tracker.getEta(), null);
+
+    tracker.startTime = Date.now() - 10000;
+    tracker.current = 25;
+    assert.ok(Math.abs(tracker.getRate() - 2.5) < 0.01);
+    assert.ok(Math.abs(tracker.getEta() - 30000) < 200);
+    assert.match(tracker._formatProgress(), /Rate: 2\.50 items\/s\nETA: 30s$/);
+
+    assert.equal(tracker._formatDuration(5400), '5s');
+    assert.equal(tracker._formatDuration(65000), '1m 05s');
+    assert.equal(tracker._formatDuration(3723000), '1h 02m 03s');
+});
+
+test('thiếu bot -> throw', () => {
+    assert.throws(() => new ProgressTracker(null, 1, 10), /TelegramBot instance is required/);
+});
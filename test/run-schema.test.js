@@ -0,0 +1,185 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runSchema } = require('../src/xpath/xpath-helper');
+
+// DOM tối thiểu cho runSchema: selector dạng 'tag', '.class', 'tag.class'
+class FakeElement {
+    constructor(tag, attributes = {}, children = []) {
+        this.nodeType = 1;
+        this.tagName = tag.toUpperCase();
+        this.attributes = attributes;
+        this.children = children.map(child => typeof child === 'string' ? new FakeText(child) : child);
+    }
+
+    get textContent() {
+        return this.children.map(child => child.textContent).join('');
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] !== undefined ? this.attributes[name] : null;
+    }
+
+    matches(selector) {
+        const [tag, ...classes] = selector.split('.');
+        const own = (this.attributes.class || '').split(/\s+/);
+        return (!tag || tag.toUpperCase() === this.tagName) && classes.every(c => own.includes(c));
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const walk = (node) => {
+            for (const child of node.children) {
+                if (child.nodeType !== 1) continue;
+                if (child.matches(selector)) found.push(child);
+                walk(child);
+            }
+        };
+        walk(this);
+        return found;
+    }
+}
+
+class FakeText {
+    constructor(text) {
+        this.nodeType = 3;
+        this.nodeValue = text;
+        this.textContent = text;
+    }
+}
+
+const el = (tag, attributes, ...children) => new FakeElement(tag, attributes, children);
+
+const products = el('ul', {},
+    el('li', { class: 'item' },
+        el('a', { class: 'name', href: '/p/1' }, '  Áo   thun \n  trắng '),
+        el('span', { class: 'price' }, '1.234.567 ₫'),
+        el('span', { class: 'old price' }, '1.500.000,50 ₫'),
+        el('time', { datetime: '2024-03-05T10:00:00Z' }, '5/3'),
+        el('span', { class: 'sku' }, 'SKU: ab-123'),
+        el('span', { class: 'tag' }, 'Sale'),
+        el('span', { class: 'tag' }, ' '),
+        el('span', { class: 'tag' }, 'New')
+    ),
+    el('li', { class: 'item' },
+        el('a', { class: 'name', href: 'https://cdn.example.com/p/2' }, 'Quần'),
+        el('span', { class: 'price' }, '$1,299.99'),
+        el('span', { class: 'sku' }, 'no sku')
+    )
+);
+
+const savedGlobals = {};
+
+before(() => {
+    for (const key of ['Node', 'document']) savedGlobals[key] = Object.getOwnPropertyDescriptor(global, key);
+    global.Node = { ELEMENT_NODE: 1 };
+    global.document = products;
+    global.document.baseURI = 'https://shop.example.com/category/';
+});
+
+after(() => {
+    for (const [key, descriptor] of Object.entries(savedGlobals)) {
+        if (descriptor) Object.defineProperty(global, key, descriptor);
+        else delete global[key];
+    }
+});
+
+test('list schema: shorthand, transform và default', () => {
+    const items = runSchema(products, {
+        selector: 'li.item',
+        fields: {
+            name: { selector: 'a.name', transform: 'trim' },
+            link: { selector: 'a.name', attr: 'href', transform: 'url' },
+            price: { selector: 'span.price', transform: 'number' },
+            oldPrice: { selector: '.old', transform: 'int', default: 0 },
+            date: { selector: 'time', attr: 'datetime', transform: 'date' },
+            sku: { selector: '.sku', transform: [{ regex: 'SKU:\\s*([\\w-]+)' }, 'uppercase'] },
+            tags: { selector: '.tag', list: true, transform: 'lowercase' },
+            href: 'a.name@href'
+        }
+    });
+
+    assert.deepEqual(items, [
+        {
+            name: 'Áo thun trắng',
+            link: 'https://shop.example.com/p/1',
+            price: 1234567,
+            oldPrice: 1500000,
+            date: '2024-03-05T10:00:00.000Z',
+            sku: 'AB-123',
+            tags: ['sale', 'new'],
+            href: '/p/1'
+        },
+        {
+            name: 'Quần',
+            link: 'https://cdn.example.com/p/2',
+            price: 1299.99,
+            oldPrice: 0,
+            date: null,
+            sku: null,
+            tags: [],
+            href: 'https://cdn.example.com/p/2'
+        }
+    ]);
+});
+
+test('number: các kiểu dấu phân cách thập phân / hàng nghìn', () => {
+    const cases = [
+        ['1.234,56', 1234.56],
+        ['1,234.56', 1234.56],
+        ['12,5', 12.5],
+        ['1,234', 1234],
+        ['1.234.567', 1234567],
+        ['-3.5', -3.5],
+        ['liên hệ', null]
+    ];
+
+    for (const [text, expected] of cases) {
+        const root = el('div', {}, el('b', {}, text));
+        assert.equal(runSchema(root, { fields: { value: { selector: 'b', transform: 'number' } } }).value, expected, text);
+    }
+});
+
+test('regex transform: group, flags và không khớp', () => {
+    const root = el('div', {}, el('p', {}, 'Order #A-42 shipped'));
+    const result = runSchema(root, {
+        fields: {
+            group: { selector: 'p', transform: { regex: '#([a-z])-(\\d+)', flags: 'i', group: 2 } },
+            whole: { selector: 'p', transform: { regex: 'shipped', group: 0 } },
+            none: { selector: 'p', transform: { regex: 'cancelled' }, default: 'n/a' }
+        }
+    });
+
+    assert.deepEqual(result, { group: '42', whole: 'shipped', none: 'n/a' });
+});
+
+test('nested fields, list: false, root mặc định là document', () => {
+    const result = runSchema({
+        fields: {
+            first: { selector: 'li.item', list: false, fields: { name: { selector: '.name', transform: 'trim' } } },
+            all: { selector: 'li.item', fields: { price: { selector: '.price', transform: 'int' } } },
+            missing: { selector: 'table', fields: { x: 'td' } }
+        }
+    });
+
+    assert.deepEqual(result, {
+        first: { name: 'Áo thun trắng' },
+        all: [{ price: 1234567 }, { price: 1299 }],
+        missing: []
+    });
+});
+
+test('mảng root (extractList): mỗi element một object', () => {
+    const items = products.querySelectorAll('li.item');
+    const result = runSchema(items, { fields: { sku: '.sku', text: '@class' } });
+
+    assert.deepEqual(result, [
+        { sku: 'SKU: ab-123', text: 'item' },
+        { sku: 'no sku', text: 'item' }
+    ]);
+});
+
+test('transform không tồn tại -> throw', () => {
+    assert.throws(() => runSchema(products, { fields: { name: { selector: '.name', transform: 'slugify' } } }),
+        /Unknown transform: slugify/);
+});
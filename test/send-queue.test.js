@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const SendQueue = require('../src/telegram/send-queue');
+
+// Ghi lại thời điểm chạy của từng request
+function recorder() {
+    const start = Date.now();
+    const calls = [];
+    const job = (name) => async() => {
+        calls.push({ name, at: Date.now() - start });
+        return name;
+    };
+    return { calls, job };
+}
+
+test('cùng chat: chạy đúng thứ tự và cách nhau perChatInterval', async() => {
+    const queue = new SendQueue({ perChatInterval: 100 });
+    const { calls, job } = recorder();
+
+    const results = await Promise.all([1, 2, 3].map(i => queue.push(1, job(`m${i}`))));
+
+    assert.deepEqual(results, ['m1', 'm2', 'm3']);
+    assert.deepEqual(calls.map(c => c.name), ['m1', 'm2', 'm3']);
+    assert.ok(calls[1].at - calls[0].at >= 90, `khoảng cách ${calls[1].at - calls[0].at}ms`);
+    assert.ok(calls[2].at - calls[1].at >= 90, `khoảng cách ${calls[2].at - calls[1].at}ms`);
+});
+
+test('group chat (id âm / @channel) dùng groupChatInterval', async() => {
+    const queue = new SendQueue({ perChatInterval: 0, groupChatInterval: 150 });
+    const { calls, job } = recorder();
+
+    await Promise.all([
+        queue.push(-100, job('g1')),
+        queue.push(-100, job('g2')),
+        queue.push('@channel', job('c1')),
+        queue.push('@channel', job('c2'))
+    ]);
+
+    const at = Object.fromEntries(calls.map(c => [c.name, c.at]));
+    assert.ok(at.g2 - at.g1 >= 140);
+    assert.ok(at.c2 - at.c1 >= 140);
+});
+
+test('chat khác nhau chạy song song nhưng không vượt globalLimit mỗi giây', async() => {
+    const queue = new SendQueue({ globalLimit: 3, perChatInterval: 0 });
+    const { calls, job } = recorder();
+
+    await Promise.all([1, 2, 3, 4, 5].map(i => queue.push(i, job(`c${i}`))));
+
+    const first = calls.slice(0, 3);
+    const rest = calls.slice(3);
+    assert.ok(first.every(c => c.at < 100), JSON.stringify(first));
+    assert.ok(rest.every(c => c.at >= 950), JSON.stringify(rest));
+});
+
+test('pause dừng mọi request tới hết thời gian pause', async() => {
+    const emitter = new EventEmitter();
+    const paused = [];
+    emitter.on('queue_pause', payload => paused.push(payload));
+
+    const queue = new SendQueue({ perChatInterval: 0, emitter });
+    const { calls, job } = recorder();
+
+    queue.pause(200);
+    await queue.push(1, job('after-pause'));
+
+    assert.equal(paused.length, 1);
+    assert.equal(paused[0].ms, 200);
+    assert.ok(calls[0].at >= 190, `chạy sau ${calls[0].at}ms`);
+});
+
+test('queue đầy -> reject và emit queue_drop', async() => {
+    const emitter = new EventEmitter();
+    const dropped = [];
+    emitter.on('queue_drop', payload => dropped.push(payload));
+
+    const queue = new SendQueue({ maxSize: 2, perChatInterval: 0, emitter });
+    queue.pause(60000);
+
+    const pending = [queue.push(1, async() => 1), queue.push(2, async() => 2)];
+    await assert.rejects(queue.push(3, async() => 3, { method: 'sendMessage' }), /Send queue is full \(2\)/);
+    assert.equal(dropped.length, 1);
+    assert.equal(dropped[0].method, 'sendMessage');
+    assert.equal(queue.size, 2);
+
+    queue.clear('stop');
+    for (const promise of pending) {
+        await assert.rejects(promise, /stop/);
+    }
+    assert.equal(queue.size, 0);
+    clearTimeout(queue._timer);
+});
+
+test('lỗi của request được trả về cho caller, queue tiếp tục chạy', async() => {
+    const queue = new SendQueue({ perChatInterval: 0 });
+
+    await assert.rejects(queue.push(1, async() => {
+        throw new Error('boom');
+    }), /boom/);
+    assert.equal(await queue.push(1, async() => 'ok'), 'ok');
+});
+
+test('broadcast nhiều chat: chatNextTime chỉ giữ chat còn đang chờ', async() => {
+    const queue = new SendQueue({ globalLimit: 1000, perChatInterval: 50 });
+
+    await Promise.all(Array.from({ length: 200 }, (_, i) => queue.push(i + 1, async() => i)));
+    assert.equal(queue.chatNextTime.size, 200);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await queue.push(1, async() => 'next');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual([...queue.chatNextTime.keys()], ['1']);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const SessionCapture = require('../src/trackingNetwork/sessionCapture');
+
+const URL_LOGIN = 'https://shop.example.com/account/login';
+
+function response(setCookie, url = URL_LOGIN) {
+    return { url, responseHeaders: { 'set-cookie': setCookie } };
+}
+
+// Page giả: cookie jar của browser qua CDP Storage.getCookies
+function fakePage(jar) {
+    return {
+        frames: () => [],
+        createCDPSession: async() => ({
+            send: async(method) => {
+                if (method === 'Storage.getCookies') return { cookies: jar };
+                throw new Error(`unexpected ${method}`);
+            },
+            detach: async() => {}
+        })
+    };
+}
+
+test('ghi Set-Cookie từ http:response, Max-Age=0 / Expires quá khứ xoá cookie', () => {
+    const tracking = new EventEmitter();
+    const capture = new SessionCapture(tracking);
+    const events = [];
+    capture.on('cookie:set', c => events.push(['set', c.name]));
+    capture.on('cookie:deleted', c => events.push(['deleted', c.name]));
+
+    tracking.emit('http:response', response('sid=abc; Path=/; HttpOnly; Secure; SameSite=strict\ntheme=dark; Domain=example.com; Max-Age=3600'));
+    assert.deepEqual(capture.getCookies().map(c => [c.name, c.domain, c.path]), [
+        ['sid', 'shop.example.com', '/'],
+        ['theme', '.example.com', '/account']
+    ]);
+    assert.equal(capture.getCookies('cdn.example.com').length, 1);
+    assert.equal(capture.getCookies()[0].sameSite, 'Strict');
+
+    tracking.emit('http:response', response('sid=; Path=/; Max-Age=0\ntheme=; Domain=example.com; Path=/account; Expires=Thu, 01 Jan 1970 00:00:00 GMT'));
+    assert.deepEqual(capture.getCookies(), []);
+    assert.deepEqual(events, [['set', 'sid'], ['set', 'theme'], ['deleted', 'sid'], ['deleted', 'theme']]);
+
+    capture.detach();
+    tracking.emit('http:response', response('late=1'));
+    assert.deepEqual(capture.getCookies(), []);
+});
+
+test('Set-Cookie từ Network.responseReceivedExtraInfo, bỏ cookie bị browser chặn, không emit trùng', () => {
+    const tracking = new EventEmitter();
+    const capture = new SessionCapture(tracking);
+    const set = [];
+    capture.on('cookie:set', c => set.push(c.name));
+
+    const headers = { 'set-cookie': 'sid=abc; Path=/\ntracker=1; Domain=ads.example.net' };
+    tracking.emit('http:responseExtraInfo', {
+        url: URL_LOGIN,
+        headers,
+        blockedCookies: ['tracker=1; Domain=ads.example.net']
+    });
+    // Puppeteer cũng báo cùng response
+    tracking.emit('http:response', response('sid=abc; Path=/'));
+    // ExtraInfo không biết url (request chưa thấy) -> bỏ qua
+    tracking.emit('http:responseExtraInfo', { url: null, headers: { 'set-cookie': 'x=1' }, blockedCookies: [] });
+
+    assert.deepEqual(set, ['sid']);
+    assert.deepEqual(capture.getCookies().map(c => c.name), ['sid']);
+});
+
+test('getCookies bỏ cookie đã hết hạn', () => {
+    const capture = new SessionCapture();
+    capture._captureSetCookie(response('short=1; Max-Age=60\nlong=1; Max-Age=3600'));
+
+    capture.cookies.get('shop.example.com|/account|short').expires = Math.floor(Date.now() / 1000) - 1;
+
+    assert.deepEqual(capture.getCookies().map(c => c.name), ['long']);
+    assert.equal(capture.cookies.size, 1);
+});
+
+test('capture(page): cookie jar của browser là chuẩn, cookie site đã xoá không quay lại', async() => {
+    const tracking = new EventEmitter();
+    const capture = new SessionCapture(tracking);
+    tracking.emit('http:response', response('sid=abc; Path=/\nlogged_in=1; Path=/'));
+
+    // Site xoá logged_in bằng document.cookie -> jar không còn
+    const jar = [{ name: 'sid', value: 'abc', domain: 'shop.example.com', path: '/', expires: -1, httpOnly: false, secure: true, sameSite: 'Lax' }];
+    const state = await capture.capture(fakePage(jar), { origins: [] });
+
+    assert.deepEqual(state.cookies.map(c => c.name), ['sid']);
+    assert.deepEqual(state.origins, []);
+
+    // Không có page -> cookie đã ghi
+    assert.deepEqual((await capture.capture(null)).cookies.map(c => c.name), ['sid', 'logged_in']);
+});
+
+test('Netscape cookies.txt round-trip', () => {
+    const cookies = [
+        { name: 'sid', value: 'a\tb', domain: '.example.com', path: '/', expires: 1900000000, httpOnly: true, secure: true, sameSite: 'Lax' },
+        { name: 'theme', value: 'dark', domain: 'shop.example.com', path: '/account', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+    ];
+
+    const text = SessionCapture.toNetscape(cookies);
+    assert.ok(text.startsWith('# Netscape HTTP Cookie File\n'));
+    assert.deepEqual(SessionCapture.parseNetscape(text), cookies);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+const { startBotApiStub, ok } = require('./helpers/bot-api-stub');
+
+const FILES = {
+    'documents/file_1.txt': 'proxy-1:8080\nproxy-2:8080',
+    'var/lib/telegram-bot-api/123:ABC/photos/file_2.jpg': 'jpeg-bytes'
+};
+
+let stub;
+
+before(async() => {
+    stub = await startBotApiStub({
+        getMe: () => ok({ id: 123, is_bot: true, username: 'local_bot' }),
+        getFile: (call) => ok({
+            file_id: call.body.file_id,
+            file_size: 24,
+            file_path: call.body.file_id === 'local'
+                ? '/var/lib/telegram-bot-api/123:ABC/photos/file_2.jpg'
+                : 'documents/file_1.txt'
+        })
+    }, FILES);
+});
+
+after(async() => {
+    await stub.close();
+});
+
+test('apiRoot: mọi request tới server local, bỏ / cuối', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: `${stub.url}/` });
+
+    assert.equal(bot.apiRoot, stub.url);
+    assert.equal((await bot.getMe()).username, 'local_bot');
+    assert.equal(stub.callsOf('getMe').at(-1).token, '123:ABC');
+    assert.ok(stub.urls.includes('/bot123:ABC/getMe'));
+});
+
+test('apiRoot không hợp lệ -> throw', () => {
+    assert.throws(() => new TelegramBot('123:ABC', { apiRoot: 'localhost:8081' }), /apiRoot must start with http/);
+});
+
+test('getFile: download_url theo apiRoot, file_path tuyệt đối không tạo //', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url });
+
+    const relative = await bot.getFile('doc');
+    assert.equal(relative.download_url, `${stub.url}/file/bot123:ABC/documents/file_1.txt`);
+    assert.equal(relative.local_path, undefined);
+
+    const local = await bot.getFile('local');
+    assert.equal(local.download_url, `${stub.url}/file/bot123:ABC/var/lib/telegram-bot-api/123:ABC/photos/file_2.jpg`);
+    assert.equal(local.local_path, '/var/lib/telegram-bot-api/123:ABC/photos/file_2.jpg');
+});
+
+test('downloadFile tải qua server local', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url });
+
+    assert.equal(await bot.downloadFile('doc', null, { encoding: 'utf8' }), FILES['documents/file_1.txt']);
+
+    // File không có trên máy này -> tải qua HTTP, URL không có '//'
+    const dest = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tool-helper-dl-')), 'photo.jpg');
+    try {
+        const result = await bot.downloadFile('local', dest);
+        assert.equal(result.size, 10);
+        assert.equal(fs.readFileSync(dest, 'utf8'), 'jpeg-bytes');
+    } finally {
+        fs.rmSync(path.dirname(dest), { recursive: true, force: true });
+    }
+
+    const fileUrls = stub.urls.filter(url => url.startsWith('/file/'));
+    assert.deepEqual(fileUrls, [
+        '/file/bot123:ABC/documents/file_1.txt',
+        '/file/bot123:ABC/var/lib/telegram-bot-api/123:ABC/photos/file_2.jpg'
+    ]);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+const { startBotApiStub, updateFeed, ok } = require('./helpers/bot-api-stub');
+
+const CHAT = { id: 42, type: 'private' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) throw new Error('waitFor timeout');
+        await sleep(10);
+    }
+}
+
+function message(updateId, text) {
+    return { update_id: updateId, message: { message_id: updateId, chat: CHAT, from: { id: 7 }, text } };
+}
+
+async function startBot(feed) {
+    let messageId = 100;
+    const stub = await startBotApiStub({
+        getMe: () => ok({ id: 123, is_bot: true, username: 'tool_bot' }),
+        getUpdates: feed.getUpdates,
+        sendMessage: (call) => ok({ message_id: ++messageId, chat: CHAT, text: call.body.text })
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, perChatInterval: 1 });
+    return { stub, bot };
+}
+
+const sentTexts = (stub) => stub.callsOf('sendMessage').map(call => call.body.text);
+
+test('ask() trong command handler nhận câu trả lời qua polling', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed);
+    const results = [];
+    const routed = [];
+
+    bot.onCommand('setup', async(msg, ctx) => {
+        const name = await bot.ask(ctx.chatId, 'Name?');
+        const confirm = await bot.ask(ctx.chatId, `Save ${name}?`, { keyboard: [['Yes', 'No']] });
+        results.push([name, confirm]);
+        await ctx.reply('Saved');
+    });
+    bot.onMessage(msg => routed.push(msg.text));
+
+    try {
+        await bot.startPolling();
+        feed.push(message(1, '/setup'));
+        await waitFor(() => sentTexts(stub).includes('Name?'));
+
+        const question = stub.callsOf('sendMessage')[0].body;
+        assert.equal(question.reply_markup.force_reply, true);
+
+        feed.push(message(2, 'Alice'));
+        await waitFor(() => sentTexts(stub).includes('Save Alice?'));
+
+        // Bấm nút 'Yes' của câu hỏi thứ hai
+        const keyboard = stub.callsOf('sendMessage')[1].body.reply_markup.inline_keyboard;
+        feed.push({
+            update_id: 3,
+            callback_query: {
+                id: 'q3',
+                from: { id: 7 },
+                data: keyboard[0][0].callback_data,
+                message: { message_id: 102, chat: CHAT }
+            }
+        });
+        await waitFor(() => sentTexts(stub).includes('Saved'));
+
+        assert.deepEqual(results, [['Alice', 'Yes']]);
+        // Câu trả lời không tới onMessage
+        assert.deepEqual(routed, []);
+        assert.deepEqual(stub.callsOf('answerCallbackQuery').map(call => call.body.callback_query_id), ['q3']);
+        assert.deepEqual(stub.callsOf('editMessageReplyMarkup')[0].body.reply_markup, { inline_keyboard: [] });
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
+
+test('ask(): command khác vẫn tới handler, /cancel huỷ câu hỏi', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed);
+    const outcome = [];
+
+    bot.onCommand('setup', async(msg, ctx) => {
+        try {
+            await bot.ask(ctx.chatId, 'Name?');
+        } catch (error) {
+            outcome.push(error.message);
+        }
+    });
+    bot.onCommand('status', () => outcome.push('status'));
+
+    try {
+        await bot.startPolling();
+        feed.push(message(1, '/setup'));
+        await waitFor(() => sentTexts(stub).includes('Name?'));
+
+        feed.push(message(2, '/status'), message(3, '/cancel'));
+        await waitFor(() => outcome.length === 2);
+
+        assert.deepEqual(outcome, ['status', 'Question cancelled by user']);
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
+
+test('ask() hết thời gian chờ -> reject', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed);
+
+    try {
+        await bot.startPolling();
+        await assert.rejects(bot.ask(42, 'Anyone?', { timeout: 50 }), /No answer within 50ms: Anyone\?/);
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
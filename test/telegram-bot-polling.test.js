@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+const { startBotApiStub, updateFeed, ok } = require('./helpers/bot-api-stub');
+
+const CHAT = { id: 42, type: 'private' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) throw new Error('waitFor timeout');
+        await sleep(10);
+    }
+}
+
+function message(updateId, text) {
+    return { update_id: updateId, message: { message_id: updateId, chat: CHAT, from: { id: 7 }, text } };
+}
+
+function callbackQuery(updateId, data) {
+    return { update_id: updateId, callback_query: { id: `q${updateId}`, from: { id: 7 }, data, message: { message_id: 1, chat: CHAT } } };
+}
+
+async function startBot(feed, handlers = {}, options = {}) {
+    const stub = await startBotApiStub({
+        getMe: () => ok({ id: 123, is_bot: true, username: 'tool_bot' }),
+        getUpdates: feed.getUpdates,
+        sendMessage: (call) => ok({ message_id: 1000 + call.body.text.length, chat: CHAT, text: call.body.text }),
+        ...handlers
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, perChatInterval: 1, ...options });
+    return { stub, bot };
+}
+
+test('polling: command (kể cả @username của bot), message và callback query được route', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed);
+    const routed = [];
+
+    bot.onCommand('/status', (msg, ctx) => routed.push(['status', ctx.args]));
+    bot.onMessage(msg => routed.push(['message', msg.text]));
+    bot.onCallbackQuery(/^page:(\d+)$/, (query, ctx) => routed.push(['page', ctx.data]));
+
+    try {
+        await bot.startPolling();
+        await waitFor(() => stub.calls.length === 2);
+        assert.deepEqual(stub.calls.map(call => call.method), ['getMe', 'getUpdates']);
+
+        feed.push(
+            message(1, '/status@tool_bot now'),
+            message(2, '/status@other_bot'),
+            message(3, 'hello'),
+            callbackQuery(4, 'page:2'),
+            callbackQuery(5, 'unknown')
+        );
+        await waitFor(() => stub.callsOf('answerCallbackQuery').length === 2);
+
+        assert.deepEqual(routed, [
+            ['status', ['now']],
+            ['message', '/status@other_bot'],
+            ['message', 'hello'],
+            ['page', 'page:2']
+        ]);
+        // Callback không có handler vẫn được answer để tắt loading
+        assert.deepEqual(stub.callsOf('answerCallbackQuery').map(call => call.body.callback_query_id), ['q4', 'q5']);
+        // Offset đã xác nhận các update đã nhận
+        await waitFor(() => stub.callsOf('getUpdates').some(call => call.body.offset === 6));
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
+
+test('stopPolling trả về ngay khi getUpdates đang chờ', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed, {}, { pollingTimeout: 30 });
+    const events = [];
+    bot.on('polling_stop', () => events.push('polling_stop'));
+    bot.on('polling_error', error => events.push(error.message));
+
+    try {
+        await bot.startPolling();
+        await waitFor(() => stub.callsOf('getUpdates').length === 1);
+
+        const start = Date.now();
+        await bot.stopPolling();
+
+        assert.ok(Date.now() - start < 500, `stopPolling mất ${Date.now() - start}ms`);
+        assert.equal(bot.isPolling, false);
+        assert.deepEqual(events, ['polling_stop']);
+
+        // Update đến sau khi stop không được xử lý
+        const received = [];
+        bot.onMessage(msg => received.push(msg.text));
+        feed.push(message(1, 'late'));
+        await sleep(50);
+        assert.deepEqual(received, []);
+        assert.equal(stub.callsOf('getUpdates').length, 1);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('handler lỗi không dừng polling', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed);
+    const errors = [];
+    const received = [];
+    bot.on('handler_error', error => errors.push(error.message));
+    bot.onCommand('boom', () => {
+        throw new Error('boom');
+    });
+    bot.onMessage(msg => received.push(msg.text));
+
+    try {
+        await bot.startPolling();
+        feed.push(message(1, '/boom'), message(2, 'after'));
+        await waitFor(() => received.length === 1);
+
+        assert.deepEqual(errors, ['boom']);
+        assert.deepEqual(received, ['after']);
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
+
+test('callback handler chậm: query được answer sau callbackAnswerDelay, không chờ handler xong', async() => {
+    const feed = updateFeed();
+    const { stub, bot } = await startBot(feed, {}, { callbackAnswerDelay: 50 });
+    const steps = [];
+
+    bot.onCallbackQuery('export', async(query, ctx) => {
+        await sleep(300);
+        steps.push(['answered before done', stub.callsOf('answerCallbackQuery').length]);
+        steps.push(['late answer', await ctx.answer('Done')]);
+    });
+    bot.onCallbackQuery('quick', async(query, ctx) => {
+        await ctx.answer('OK');
+    });
+
+    try {
+        await bot.startPolling();
+        feed.push(callbackQuery(1, 'export'), callbackQuery(2, 'quick'));
+        await waitFor(() => steps.length === 2);
+        await sleep(20);
+
+        assert.deepEqual(steps, [['answered before done', 2], ['late answer', false]]);
+        // Mỗi query chỉ answer một lần, handler answer kịp thì giữ text của handler
+        const answers = stub.callsOf('answerCallbackQuery').map(call => [call.body.callback_query_id, call.body.text]);
+        assert.deepEqual(answers.sort(), [['q1', undefined], ['q2', 'OK']]);
+    } finally {
+        await bot.stopPolling();
+        await stub.close();
+    }
+});
@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+const { startBotApiStub, ok, fail } = require('./helpers/bot-api-stub');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// Lần gọi đầu trả lỗi, các lần sau thành công
+function failOnce(error, result) {
+    let count = 0;
+    return () => (count++ === 0 ? error : ok(result));
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-helper-bot-'));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('multipart 429: chờ retry_after, pause queue rồi gửi lại đủ file', async() => {
+    const stub = await startBotApiStub({
+        sendPhoto: failOnce(fail(429, 'Too Many Requests: retry after 1', { retry_after: 1 }), { message_id: 5 })
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, retryDelay: 10 });
+    const events = [];
+    bot.on('rate_limited', payload => events.push(['rate_limited', payload.retryAfter]));
+    bot.on('queue_pause', payload => events.push(['queue_pause', payload.ms]));
+
+    try {
+        const start = Date.now();
+        const result = await bot.sendPhoto(42, PNG, { caption: 'screenshot' });
+
+        assert.equal(result.message_id, 5);
+        assert.ok(Date.now() - start >= 950, `gửi lại sau ${Date.now() - start}ms`);
+        assert.deepEqual(events, [['rate_limited', 1], ['queue_pause', 1000]]);
+
+        const calls = stub.callsOf('sendPhoto');
+        assert.equal(calls.length, 2);
+        for (const call of calls) {
+            assert.match(call.headers['content-type'], /^multipart\/form-data; boundary=/);
+            assert.ok(call.raw.includes(PNG), 'thiếu nội dung ảnh');
+            assert.ok(call.raw.includes('screenshot'));
+        }
+    } finally {
+        await stub.close();
+    }
+});
+
+test('multipart từ file path: 5xx được retry với stream file mới', async() => {
+    const file = path.join(dir, 'stack.txt');
+    fs.writeFileSync(file, 'Error: boom\n    at main (job.js:1:1)');
+
+    const stub = await startBotApiStub({
+        sendDocument: failOnce(fail(502, 'Bad Gateway'), { message_id: 6 })
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, retryDelay: 10 });
+
+    try {
+        assert.equal((await bot.sendDocument(42, file)).message_id, 6);
+
+        const calls = stub.callsOf('sendDocument');
+        assert.equal(calls.length, 2);
+        assert.ok(calls.every(call => call.raw.includes('at main (job.js:1:1)')));
+    } finally {
+        await stub.close();
+    }
+});
+
+test('album upload được retry', async() => {
+    const stub = await startBotApiStub({
+        sendMediaGroup: failOnce(fail(500, 'Internal Server Error'), [{ message_id: 7 }, { message_id: 8 }])
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, retryDelay: 10 });
+
+    try {
+        const messages = await bot.sendMediaGroup(42, [PNG, PNG]);
+
+        assert.deepEqual(messages.map(m => m.message_id), [7, 8]);
+        assert.equal(stub.callsOf('sendMediaGroup').length, 2);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('lỗi 4xx khác 429 không retry', async() => {
+    const stub = await startBotApiStub({
+        sendPhoto: () => fail(400, 'Bad Request: PHOTO_INVALID_DIMENSIONS')
+    });
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, retryDelay: 10 });
+
+    try {
+        await assert.rejects(bot.sendPhoto(42, PNG), (error) => {
+            assert.equal(error.errorCode, 400);
+            assert.equal(error.description, 'Bad Request: PHOTO_INVALID_DIMENSIONS');
+            return true;
+        });
+        assert.equal(stub.callsOf('sendPhoto').length, 1);
+    } finally {
+        await stub.close();
+    }
+});
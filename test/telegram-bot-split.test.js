@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+const { startBotApiStub, ok } = require('./helpers/bot-api-stub');
+
+let stub;
+let messageId = 0;
+
+before(async() => {
+    stub = await startBotApiStub({
+        sendMessage: (call) => ok({ message_id: ++messageId, text: call.body.text })
+    });
+});
+
+after(async() => {
+    await stub.close();
+});
+
+const longText = Array.from({ length: 300 }, (_, i) => `<b>row ${i}</b> ${'x'.repeat(20)}`).join('\n');
+
+test('splitLongMessages: text ngắn vẫn trả về một message', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, splitLongMessages: true, perChatInterval: 1 });
+
+    const msg = await bot.sendMessage(42, 'short text');
+
+    assert.ok(!Array.isArray(msg));
+    assert.equal(typeof msg.message_id, 'number');
+    assert.equal(bot.getLastMessageId(), msg.message_id);
+});
+
+test('splitLongMessages: text dài được tách, HTML cân bằng trong từng message', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, splitLongMessages: true, perChatInterval: 1 });
+    const before = stub.callsOf('sendMessage').length;
+
+    const messages = await bot.sendMessage(42, longText, { reply_markup: { inline_keyboard: [[{ text: 'OK', callback_data: 'ok' }]] } });
+    const calls = stub.callsOf('sendMessage').slice(before);
+
+    assert.ok(Array.isArray(messages) && messages.length > 1);
+    assert.equal(calls.length, messages.length);
+    for (const call of calls) {
+        assert.ok(call.body.text.length <= 4096);
+        assert.equal(call.body.parse_mode, 'HTML');
+        assert.equal((call.body.text.match(/<b>/g) || []).length, (call.body.text.match(/<\/b>/g) || []).length);
+    }
+    // Keyboard chỉ ở message cuối
+    assert.deepEqual(calls.map(call => !!call.body.reply_markup), calls.map((_, i) => i === calls.length - 1));
+});
+
+test('split: true luôn trả về array, split: false không tách', async() => {
+    const bot = new TelegramBot('123:ABC', { apiRoot: stub.url, splitLongMessages: true, perChatInterval: 1 });
+
+    const messages = await bot.sendMessage(42, 'short', { split: true });
+    assert.ok(Array.isArray(messages));
+    assert.equal(messages.length, 1);
+
+    const before = stub.callsOf('sendMessage').length;
+    const single = await bot.sendMessage(42, longText, { split: false });
+    assert.ok(!Array.isArray(single));
+    assert.equal(stub.callsOf('sendMessage').length, before + 1);
+});
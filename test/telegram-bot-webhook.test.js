@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const TelegramBot = require('../src/telegram/telegram-bot');
+
+// Request giả: body gửi theo chunk như http.IncomingMessage
+function fakeReq(body, { method = 'POST', headers = {} } = {}) {
+    const req = new EventEmitter();
+    req.method = method;
+    req.headers = headers;
+    req.destroy = () => {};
+
+    setImmediate(() => {
+        if (body !== undefined) {
+            const raw = Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+            req.emit('data', raw.subarray(0, 5));
+            req.emit('data', raw.subarray(5));
+        }
+        req.emit('end');
+    });
+    return req;
+}
+
+function fakeRes() {
+    return {
+        headersSent: false,
+        statusCode: null,
+        headers: {},
+        body: null,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        end(body) {
+            this.body = body;
+            this.headersSent = true;
+        }
+    };
+}
+
+function messageUpdate(updateId, text) {
+    return { update_id: updateId, message: { message_id: updateId, chat: { id: 42, type: 'private' }, text } };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('secret token sai hoặc thiếu -> 401, update không được xử lý', async() => {
+    const bot = new TelegramBot('123:ABC');
+    const handler = bot.createWebhookHandler({ secretToken: 's3cret' });
+    const errors = [];
+    const updates = [];
+    bot.on('webhook_error', error => errors.push(error.message));
+    bot.on('update', update => updates.push(update.update_id));
+
+    const missing = fakeRes();
+    await handler(fakeReq(messageUpdate(1, 'hi')), missing);
+    assert.equal(missing.statusCode, 401);
+
+    const wrong = fakeRes();
+    await handler(fakeReq(messageUpdate(1, 'hi'), { headers: { 'x-telegram-bot-api-secret-token': 's3creT' } }), wrong);
+    assert.equal(wrong.statusCode, 401);
+
+    const valid = fakeRes();
+    await handler(fakeReq(messageUpdate(1, 'hi'), { headers: { 'x-telegram-bot-api-secret-token': 's3cret' } }), valid);
+    assert.equal(valid.statusCode, 200);
+    assert.equal(valid.body, 'OK');
+
+    assert.deepEqual(errors, ['Invalid webhook secret token', 'Invalid webhook secret token']);
+    assert.deepEqual(updates, [1]);
+});
+
+test('webhookSecret trong config được dùng khi handler không truyền secretToken', async() => {
+    const bot = new TelegramBot('123:ABC', { webhookSecret: 'from-config' });
+    const handler = bot.createWebhookHandler();
+
+    const res = fakeRes();
+    await handler(fakeReq(messageUpdate(1, 'hi')), res);
+    assert.equal(res.statusCode, 401);
+});
+
+test('method khác POST -> 405, body lỗi -> 400', async() => {
+    const bot = new TelegramBot('123:ABC');
+    const handler = bot.createWebhookHandler({ maxBodySize: 64 });
+    bot.on('webhook_error', () => {});
+
+    const get = fakeRes();
+    await handler(fakeReq(undefined, { method: 'GET' }), get);
+    assert.equal(get.statusCode, 405);
+
+    const invalidJson = fakeRes();
+    await handler(fakeReq('{"update_id":'), invalidJson);
+    assert.equal(invalidJson.statusCode, 400);
+
+    const noUpdateId = fakeRes();
+    await handler(fakeReq({ message: {} }), noUpdateId);
+    assert.equal(noUpdateId.statusCode, 400);
+
+    const tooLarge = fakeRes();
+    await handler(fakeReq(messageUpdate(1, 'x'.repeat(100))), tooLarge);
+    assert.equal(tooLarge.statusCode, 400);
+});
+
+test('update gửi lại (cùng update_id) chỉ được xử lý một lần', async() => {
+    const bot = new TelegramBot('123:ABC');
+    const handler = bot.createWebhookHandler();
+    const received = [];
+    bot.onMessage(message => received.push(message.text));
+
+    for (const update of [messageUpdate(7, 'first'), messageUpdate(7, 'first'), messageUpdate(5, 'late')]) {
+        const res = fakeRes();
+        await handler(fakeReq(update), res);
+        assert.equal(res.statusCode, 200);
+    }
+    await sleep(10);
+
+    // update_id nhỏ hơn (đến không theo thứ tự) vẫn được xử lý
+    assert.deepEqual(received, ['first', 'late']);
+    assert.equal(bot.updateOffset, 8);
+});
+
+test('body đã được parse sẵn (express.json())', async() => {
+    const bot = new TelegramBot('123:ABC');
+    const handler = bot.createWebhookHandler();
+    const received = [];
+    bot.onMessage(message => received.push(message.text));
+
+    const req = { method: 'POST', headers: {}, body: messageUpdate(9, 'parsed') };
+    const res = fakeRes();
+    await handler(req, res);
+    await sleep(10);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(received, ['parsed']);
+});
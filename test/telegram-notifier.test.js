@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TelegramNotifier = require('../src/telegram/telegram-notifier');
+
+// Bot giả: ghi lại mọi lần gửi theo thứ tự
+function fakeBot() {
+    const calls = [];
+    return {
+        calls,
+        async sendHTML(chatId, text) {
+            calls.push({ method: 'sendHTML', chatId, text });
+            return { message_id: calls.length };
+        },
+        async sendPhoto(chatId, photo, options) {
+            calls.push({ method: 'sendPhoto', chatId, photo, options });
+            return { message_id: calls.length };
+        },
+        async sendDocument(chatId, document, options) {
+            calls.push({ method: 'sendDocument', chatId, document, options });
+            return { message_id: calls.length };
+        },
+        escapeHTML(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+    };
+}
+
+test('notifyError: message, screenshot rồi stack trace dạng document', async() => {
+    const bot = fakeBot();
+    const notifier = new TelegramNotifier(bot, { chatId: -42, fullPage: true });
+    const shots = [];
+    const page = {
+        async screenshot(options) {
+            shots.push(options);
+            return new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+        }
+    };
+    const error = new Error('Selector <#login> not found');
+
+    const result = await notifier.notifyError(error, { page, step: 'login', account: { id: 7 } });
+
+    assert.equal(result.errorCount, 1);
+    assert.deepEqual(shots, [{ fullPage: true }]);
+    assert.deepEqual(bot.calls.map(c => c.method), ['sendHTML', 'sendPhoto', 'sendDocument']);
+    assert.ok(bot.calls.every(c => c.chatId === -42));
+
+    const [report, photo, stack] = bot.calls;
+    assert.match(report.text, /<b>🔴 Error #1<\/b>/);
+    assert.match(report.text, /<code>Selector &lt;#login&gt; not found<\/code>/);
+    assert.match(report.text, /• step: <code>login<\/code>/);
+    assert.match(report.text, /• account: <code>\{"id":7\}<\/code>/);
+    assert.ok(!report.text.includes('page'), 'page không được in vào context');
+
+    assert.ok(Buffer.isBuffer(photo.photo));
+    assert.deepEqual([...photo.photo], [0x89, 0x50, 0x4e, 0x47]);
+    assert.equal(photo.options.caption, '📸 Error Screenshot');
+
+    assert.ok(Buffer.isBuffer(stack.document));
+    assert.equal(stack.document.toString(), error.stack);
+    assert.match(stack.options.filename, /^error-stack-\d+\.txt$/);
+    assert.equal(stack.options.caption, 'Stack Trace');
+});
+
+test('notifyError: screenshot lỗi (page đã đóng) vẫn gửi report và stack trace', async() => {
+    const bot = fakeBot();
+    const notifier = new TelegramNotifier(bot);
+    const page = {
+        async screenshot() {
+            throw new Error('Target closed');
+        }
+    };
+
+    await notifier.notifyError(new Error('boom'), { page });
+
+    assert.deepEqual(bot.calls.map(c => c.method), ['sendHTML', 'sendDocument']);
+});
+
+test('notifyError: tắt screenshot / stackTrace, lỗi dạng string', async() => {
+    const bot = fakeBot();
+    const notifier = new TelegramNotifier(bot, { screenshot: false, stackTrace: false });
+    const page = {
+        async screenshot() {
+            throw new Error('không được gọi');
+        }
+    };
+
+    await notifier.notifyError('plain failure', { page });
+    await notifier.notifyError(new Error('second'));
+
+    assert.deepEqual(bot.calls.map(c => c.method), ['sendHTML', 'sendHTML']);
+    assert.match(bot.calls[0].text, /<code>plain failure<\/code>/);
+    assert.match(bot.calls[1].text, /Error #2/);
+});
+
+test('notifyError: tracking -> network log dạng file HAR', async() => {
+    const bot = fakeBot();
+    const notifier = new TelegramNotifier(bot, { stackTrace: false, harBodies: true });
+    const requested = [];
+    const tracking = {
+        async toHAR(options) {
+            requested.push(options);
+            return { log: { version: '1.2', entries: [{}, {}] } };
+        }
+    };
+
+    await notifier.notifyError(new Error('boom'), { tracking });
+
+    assert.deepEqual(requested, [{ includeBodies: true }]);
+    const har = bot.calls[1];
+    assert.equal(har.method, 'sendDocument');
+    assert.match(har.options.filename, /^network-\d+\.har$/);
+    assert.equal(har.options.caption, '🌐 Network log (2 requests)');
+    assert.equal(JSON.parse(har.document.toString()).log.entries.length, 2);
+});
+
+test('run: báo success kèm thời gian, báo lỗi rồi throw lại', async() => {
+    const bot = fakeBot();
+    const notifier = new TelegramNotifier(bot, { stackTrace: false });
+
+    assert.equal(await notifier.run('Crawl <A>', async() => 42), 42);
+    assert.match(bot.calls[0].text, /^<b>✅ Success<\/b>\n\nCompleted: Crawl &lt;A&gt;\n\n• duration: <code>\d+\.\d{2}s<\/code>/);
+
+    await assert.rejects(notifier.run('Crawl B', async() => {
+        throw new Error('timeout');
+    }), /timeout/);
+    assert.match(bot.calls[1].text, /• task: <code>Crawl B<\/code>/);
+    assert.equal(notifier.errorCount, 1);
+
+    notifier.reset();
+    assert.equal(notifier.errorCount, 0);
+    assert.equal(notifier.lastErrorTime, null);
+});
+
+test('thiếu bot -> throw', () => {
+    assert.throws(() => new TelegramNotifier(null), /TelegramBot instance is required/);
+});